@@ -0,0 +1,3456 @@
+const { Component, ItemView, MarkdownRenderer, MarkdownView, Modal, Notice, Plugin, PluginSettingTab, Setting, SuggestModal, TFile, debounce, loadPdfJs, moment, normalizePath } = require('obsidian');
+const { Decoration, EditorView, ViewPlugin, WidgetType } = require('@codemirror/view');
+const { StateEffect, StateField } = require('@codemirror/state');
+const { Paginator, PAGE_DIMENSIONS, FONT_STACKS, PX_PER_MM, PX_PER_PT } = require('./pagination');
+const { SETTINGS_VERSION, DEFAULT_SETTINGS, STYLE_PRESETS, BADGE_POSITIONS, PAGE_SETUP_KEYS, PAGE_SPACE_KEYS, migrateSettings, validateSettings, isValidSetting, leavesRoomForText } = require('./settings');
+
+// Written by "Export page profile" to the vault root
+const PAGE_PROFILE_FILE = 'page-break-profile.json';
+const PAGE_PROFILE_TYPE = 'page-break-indicator/page-profile';
+
+const FRONTMATTER_PREFIX = 'pagebreak-';
+
+// Short frontmatter names, e.g. `pagebreak-size: Letter`
+const FRONTMATTER_ALIASES = {
+    size: 'pageSize',
+    limit: 'pageLimit',
+    header: 'headerTemplate',
+    footer: 'footerTemplate',
+};
+
+const VIEW_TYPE_PAGE_OUTLINE = 'page-break-outline';
+
+// Bumped on breaking changes to `plugin.api`
+const API_VERSION = 1;
+
+// Fired on the workspace with `{ file, mode, breaks, pageCount }` whenever a view's breaks change
+const BREAKS_UPDATED_EVENT = 'page-break-indicator:breaks-updated';
+
+// CSS break values that force a new page
+const FORCED_BREAK_VALUES = ['page', 'always', 'left', 'right', 'recto', 'verso'];
+
+// `<!-- pagebreak-section: landscape, columns: 2 -->` or a ```pagebreak-section fenced block
+const SECTION_COMMENT = /^\s*<!--\s*pagebreak-section\b:?([\s\S]*?)-->\s*$/i;
+const SECTION_FENCE = /^\s*(```|~~~)\s*pagebreak-section\s*$/i;
+
+// A paragraph consisting only of ---pagebreak--- (or ---page-break---)
+const PAGE_BREAK_MARKER = /^-{3,}\s*page-?break\s*-{3,}$/i;
+
+// Properties at the very start of a note, fences included
+const FRONTMATTER_BLOCK = /^---\r?\n(?:[\s\S]*?\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
+// Children of the preview sizer that are not part of the document flow
+const PREVIEW_SKIP_SELECTOR = '.page-break-container, .markdown-preview-pusher, .mod-header, .mod-footer';
+
+// View height given to an image line when a note is estimated from its source
+const ESTIMATED_IMAGE_HEIGHT = 300;
+
+// Replaces the page break decorations of an editor
+const setPageBreaksEffect = StateEffect.define();
+
+// Lines past a note's page limit
+const overflowLineDecoration = Decoration.line({ class: 'page-break-overflow-line' });
+
+// Live preview breaks live in the editor state and move with the text between recalculations
+const pageBreakField = StateField.define({
+    create() {
+        return Decoration.none;
+    },
+    update(decorations, tr) {
+        decorations = decorations.map(tr.changes);
+        tr.effects.forEach(effect => {
+            if (effect.is(setPageBreaksEffect)) {
+                decorations = effect.value;
+            }
+        });
+        return decorations;
+    },
+    provide: field => EditorView.decorations.from(field),
+});
+
+class PageBreakWidget extends WidgetType {
+    constructor(plugin, pageBreak, pageNumber, inline, labels, offsetY = 0) {
+        super();
+        this.plugin = plugin;
+        this.pageBreak = pageBreak;
+        this.pageNumber = pageNumber;
+        this.inline = inline;
+        this.labels = labels;
+        this.offsetY = offsetY;
+        this.styleKey = plugin.getIndicatorStyleKey(pageBreak, labels);
+    }
+
+    eq(other) {
+        return other.pageNumber === this.pageNumber &&
+            other.inline === this.inline &&
+            other.offsetY === this.offsetY &&
+            other.styleKey === this.styleKey;
+    }
+
+    toDOM() {
+        const wrapper = document.createElement(this.inline ? 'span' : 'div');
+        wrapper.className = this.inline ? 'page-break-widget page-break-widget-inline' : 'page-break-widget';
+
+        // Block widgets sit at the top of their line, or `offsetY` down into an embedded note;
+        // inline ones stay on the wrapped line they fall in
+        const indicator = this.plugin.createBreakIndicator(this.pageBreak, this.pageNumber, this.labels);
+        indicator.style.top = this.inline ? '' : `${this.offsetY}px`;
+        wrapper.appendChild(indicator);
+
+        return wrapper;
+    }
+
+    ignoreEvent() {
+        return true;
+    }
+}
+
+class PageBreakPlugin extends Plugin {
+    async onload() {
+        this.paginator = new Paginator({
+            getPresets: () => this.settings.customPresets,
+            measureText: (text, font) => this.measureText(text, font),
+        });
+        await this.loadSettings();
+        this.pagedMode = false;
+        this.applyIndicatorStyle();
+
+        this.calculatedBreaks = new Map(); // Cache breaks per container, keyed by file and page setup
+        this.reportedSetups = new Set(); // Frontmatter setups already reported as leaving no room for text
+        this.controllers = new Map(); // One controller per markdown leaf, in any window
+        this.unsavedHiddenLeaves = new WeakSet(); // Hidden panes without a leaf id to save them by
+
+        //only recalc when really necessary
+        this.debouncedUpdate = debounce(() => this.updateAllViews(), 500, true);
+
+        // Page counts on canvas cards, keyed by node id
+        this.canvasEstimates = new Map();
+        this.debouncedCanvasUpdate = debounce(() => this.updateCanvasEstimates(), 500, true);
+
+        // Edits are collected per editor and replayed from the first changed page
+        this.pendingEdits = new Map();
+        this.debouncedEditUpdate = debounce(() => this.processPendingEdits(), 300, true);
+        this.registerEditorExtension([pageBreakField, this.createChangeTracker()]);
+
+        this.addRibbonIcon('separator-horizontal', 'Toggle Page Breaks', () => {
+            this.togglePageBreaks();
+        });
+
+        // Reading view drawn as separate sheets of paper
+        this.addRibbonIcon('file-stack', 'Toggle paged view', () => {
+            this.togglePagedMode();
+        });
+
+        this.addCommand({
+            id: 'toggle-page-breaks',
+            name: 'Toggle page break indicators',
+            callback: () => this.togglePageBreaks(),
+        });
+
+        this.addCommand({
+            id: 'toggle-page-breaks-in-pane',
+            name: 'Toggle page breaks in this pane',
+            checkCallback: (checking) => {
+                const view = this.app.workspace.getActiveViewOfType(MarkdownView);
+                if (!view) return false;
+
+                if (!checking) {
+                    this.togglePaneVisibility(view.leaf);
+                }
+                return true;
+            },
+        });
+
+        this.addCommand({
+            id: 'toggle-paged-view',
+            name: 'Toggle paged view',
+            callback: () => this.togglePagedMode(),
+        });
+
+        this.addCommand({
+            id: 'recalibrate-breaks',
+            name: 'Recalibrate page breaks',
+            callback: () => this.recalibrate(),
+        });
+
+        this.addCommand({
+            id: 'go-to-next-page',
+            name: 'Go to next page',
+            checkCallback: (checking) => this.runPageCommand(checking, context =>
+                this.goToPage(context, this.getCurrentPage(context) + 1)),
+        });
+
+        this.addCommand({
+            id: 'go-to-previous-page',
+            name: 'Go to previous page',
+            checkCallback: (checking) => this.runPageCommand(checking, context =>
+                this.goToPage(context, this.getCurrentPage(context) - 1)),
+        });
+
+        this.addCommand({
+            id: 'go-to-page',
+            name: 'Go to page…',
+            checkCallback: (checking) => this.runPageCommand(checking, context =>
+                new PageJumpModal(this.app, this, context).open()),
+        });
+
+        this.addSettingTab(new PageBreakSettingTab(this.app, this));
+
+        // Section markers show as a small label; the calculator reads their options from the source
+        this.registerMarkdownCodeBlockProcessor('pagebreak-section', (source, el) => {
+            const marker = el.createDiv({
+                cls: 'page-break-section-marker',
+                text: this.describeSection(this.parseSectionOptions(source)),
+            });
+            marker.setAttribute('data-section', source);
+        });
+
+        this.registerView(VIEW_TYPE_PAGE_OUTLINE, (leaf) => new PageOutlineView(leaf, this));
+
+        this.addCommand({
+            id: 'calibrate-from-pdf',
+            name: 'Calibrate from PDF',
+            checkCallback: (checking) => this.runPageCommand(checking, context =>
+                new PdfPickerModal(this.app, this, context).open(), true),
+        });
+
+        this.addCommand({
+            id: 'export-pdf-with-breaks',
+            name: 'Export to PDF with indicated breaks',
+            checkCallback: (checking) => this.runPageCommand(checking, context => this.printWithBreaks(context), true),
+        });
+
+        this.addCommand({
+            id: 'export-page-map',
+            name: 'Export page map',
+            checkCallback: (checking) => this.runPageCommand(checking, context => this.exportPageMap(context), true),
+        });
+
+        this.addCommand({
+            id: 'copy-page-map',
+            name: 'Copy page map',
+            checkCallback: (checking) => this.runPageCommand(checking, context => this.copyPageMap(context), true),
+        });
+
+        this.addCommand({
+            id: 'report-page-limit',
+            name: 'Show how much to cut to fit the page limit',
+            checkCallback: (checking) => this.runPageCommand(checking, context => this.reportPageLimit(context)),
+        });
+
+        this.addCommand({
+            id: 'export-page-profile',
+            name: 'Export page profile',
+            callback: () => this.exportPageProfile(),
+        });
+
+        this.addCommand({
+            id: 'import-page-profile',
+            name: 'Import page profile',
+            callback: () => new ProfilePickerModal(this.app, this).open(),
+        });
+
+        this.addCommand({
+            id: 'open-page-outline',
+            name: 'Open page outline',
+            callback: () => this.activateOutlineView(),
+        });
+
+        // For other plugins: app.plugins.plugins['page-break-indicator'].api
+        this.api = this.createApi();
+
+        this.statusBarEl = this.addStatusBarItem();
+        this.statusBarEl.addClass('page-break-status', 'mod-clickable');
+        this.registerDomEvent(this.statusBarEl, 'click', () => {
+            this.runPageCommand(false, context => new PageJumpModal(this.app, this, context).open());
+        });
+
+        // Follow the cursor and scrolling of any view for the status bar
+        this.registerStatusBarEvents(document);
+        this.registerEvent(
+            this.app.workspace.on('window-open', (workspaceWindow, win) => {
+                this.registerStatusBarEvents(win.document);
+                this.styleBody(win.document.body);
+            })
+        );
+
+        // Leaves opening, closing, moving between windows or switching mode
+        this.registerEvent(
+            this.app.workspace.on('layout-change', () => {
+                this.debouncedUpdate();
+            })
+        );
+
+        this.registerEvent(
+            this.app.workspace.on('active-leaf-change', () => {
+                this.breaksChanged();
+                this.updateAllViews();
+            })
+        );
+
+        // Breaks follow edits through the editor extension; only the counter needs a nudge
+        this.registerEvent(
+            this.app.workspace.on('editor-change', () => {
+                this.requestStatusBarUpdate();
+            })
+        );
+
+        this.registerEvent(
+            this.app.workspace.on('file-open', () => {
+                this.updateAllViews();
+            })
+        );
+
+        // Frontmatter overrides apply as soon as the note's properties change
+        this.registerEvent(
+            this.app.metadataCache.on('changed', (file) => {
+                this.invalidateFile(file);
+            })
+        );
+
+        // Moving a note can take it in or out of an included folder
+        this.registerEvent(
+            this.app.vault.on('rename', () => {
+                this.updateAllViews();
+            })
+        );
+
+        // Canvas text cards are saved with the canvas file, note cards with their note
+        this.registerEvent(
+            this.app.vault.on('modify', (file) => {
+                if (this.settings.canvasPageEstimates && /^(md|canvas)$/.test(file.extension)) {
+                    this.debouncedCanvasUpdate();
+                }
+            })
+        );
+
+        this.app.workspace.onLayoutReady(() => {
+            this.pruneHiddenLeaves();
+            this.updateAllViews();
+        });
+    }
+
+    onunload() {
+        if (this.statusBarFrame) {
+            window.cancelAnimationFrame(this.statusBarFrame);
+        }
+
+        this.removeAllPageBreaks();
+        this.clearCanvasEstimates();
+        this.clearIndicatorStyle();
+    }
+
+    // Popout windows have their own document
+    registerStatusBarEvents(doc) {
+        this.registerDomEvent(doc, 'selectionchange', () => this.requestStatusBarUpdate());
+        this.registerDomEvent(doc, 'scroll', () => this.requestStatusBarUpdate(), true);
+    }
+
+    // Width of a text in CSS pixels, measured on a canvas
+    measureText(text, font) {
+        if (!this.measureContext) {
+            this.measureContext = document.createElement('canvas').getContext('2d');
+        }
+        if (this.measureFont !== font) {
+            this.measureContext.font = font;
+            this.measureFont = font;
+        }
+
+        return this.measureContext.measureText(text).width;
+    }
+
+    async loadSettings() {
+        const data = await this.loadData();
+        this.settings = Object.assign({}, DEFAULT_SETTINGS, migrateSettings(data || {}));
+        this.settings.customPresets = [...this.settings.customPresets];
+
+        const repaired = validateSettings(this.settings);
+        this.reportRepairs(repaired, 'settings');
+
+        // Store the upgraded settings so legacy keys are gone for good
+        if (data && (data.settingsVersion !== SETTINGS_VERSION || repaired.length > 0)) {
+            await this.saveData(this.settings);
+        }
+    }
+
+    reportRepairs(repaired, source) {
+        if (repaired.length === 0) return;
+
+        console.warn(`Page Break Indicator: reset invalid ${source} to defaults:`, repaired);
+        new Notice(`Page Break Indicator: reset invalid ${source} to their defaults (${repaired.join(', ')})`);
+    }
+
+    async saveSettings() {
+        await this.saveData(this.settings);
+        this.applyIndicatorStyle();
+        this.calculatedBreaks.clear();
+        this.updateAllViews();
+    }
+
+    // The body of the main window and of every pop-out window; a pop-out always holds a leaf
+    getWindowBodies() {
+        const bodies = new Set([document.body]);
+        this.app.workspace.iterateAllLeaves(leaf => bodies.add(leaf.view.containerEl.ownerDocument.body));
+
+        return [...bodies];
+    }
+
+    // Indicators are styled through CSS variables and classes on the body, so themes and snippets can override them
+    applyIndicatorStyle() {
+        this.getWindowBodies().forEach(body => this.styleBody(body));
+    }
+
+    styleBody(body) {
+        const { breakLineColor, forcedBreakColor, breakLineStyle, breakLineOpacity, breakLineThickness, badgePosition } = this.settings;
+        const style = body.style;
+
+        if (breakLineColor) {
+            style.setProperty('--page-break-line-color', breakLineColor);
+        } else {
+            style.removeProperty('--page-break-line-color');
+        }
+        if (forcedBreakColor) {
+            style.setProperty('--page-break-forced-color', forcedBreakColor);
+        } else {
+            style.removeProperty('--page-break-forced-color');
+        }
+        style.setProperty('--page-break-line-style', breakLineStyle);
+        style.setProperty('--page-break-line-opacity', String(breakLineOpacity));
+        style.setProperty('--page-break-line-thickness', `${breakLineThickness}px`);
+
+        BADGE_POSITIONS.forEach(position =>
+            body.toggleClass(`page-break-badge-${position}`, position === badgePosition));
+        body.toggleClass('page-breaks-hidden', !this.settings.showPageBreaks);
+        body.toggleClass('page-break-paged', this.pagedMode);
+    }
+
+    clearIndicatorStyle() {
+        this.getWindowBodies().forEach(body => {
+            ['color', 'style', 'opacity', 'thickness'].forEach(name =>
+                body.style.removeProperty(`--page-break-line-${name}`));
+            body.style.removeProperty('--page-break-forced-color');
+            BADGE_POSITIONS.forEach(position => body.removeClass(`page-break-badge-${position}`));
+            body.removeClass('page-breaks-hidden', 'page-break-paged');
+        });
+    }
+
+    // Style settings only restyle the indicators; the breaks stay as they are
+    async saveStyle() {
+        this.applyIndicatorStyle();
+        await this.saveData(this.settings);
+    }
+
+    // Global settings merged with the note's `pagebreak-*` frontmatter
+    resolvePageSetup(file) {
+        const setup = { enabled: true };
+        PAGE_SETUP_KEYS.forEach(key => {
+            setup[key] = this.settings[key];
+        });
+
+        // A folder's page limit replaces the global one; `pagebreak-limit` still wins
+        const folderLimit = file ? this.getFolderPageLimit(file.path) : undefined;
+        if (folderLimit !== undefined) {
+            setup.pageLimit = folderLimit;
+        }
+
+        const frontmatter = file && this.app.metadataCache.getFileCache(file)?.frontmatter;
+        if (!frontmatter) return setup;
+
+        // Apply the size first so a preset's margins can still be overridden
+        const sizeKey = `${FRONTMATTER_PREFIX}size`;
+        const entries = Object.entries(frontmatter)
+            .sort((a, b) => (b[0] === sizeKey) - (a[0] === sizeKey));
+
+        entries.forEach(([name, value]) => {
+            if (name === 'pagebreak') {
+                setup.enabled = value !== false && value !== 'false';
+                return;
+            }
+            if (!name.startsWith(FRONTMATTER_PREFIX)) return;
+
+            const option = name.slice(FRONTMATTER_PREFIX.length);
+            if (option === 'margins') {
+                Object.assign(setup, this.parseMargins(value));
+                return;
+            }
+
+            const key = FRONTMATTER_ALIASES[option] ||
+                option.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+            const parsed = this.parseSetupValue(key, value);
+            if (parsed !== undefined) {
+                setup[key] = parsed;
+                if (key === 'pageSize') {
+                    Object.assign(setup, this.paginator.getPresetMargins(parsed));
+                }
+            }
+        });
+
+        // Frontmatter margins and header heights that fill the page are ignored, and reported once
+        if (!leavesRoomForText({ ...setup, customPresets: this.settings.customPresets })) {
+            const setupKey = this.getSetupKey(file, setup);
+            if (!this.reportedSetups.has(setupKey)) {
+                this.reportedSetups.add(setupKey);
+                new Notice(`Page Break Indicator: the page setup of ${file.path} leaves no room for text; using the margins from settings`);
+            }
+            PAGE_SPACE_KEYS.forEach(key => {
+                setup[key] = this.settings[key];
+            });
+        }
+
+        return setup;
+    }
+
+    // A frontmatter value as a setting, or undefined when it is not a valid value for that setting
+    parseSetupValue(key, value) {
+        if (!PAGE_SETUP_KEYS.includes(key)) return undefined;
+
+        if (typeof DEFAULT_SETTINGS[key] === 'number') {
+            const num = parseFloat(value);
+            return isValidSetting(key, num, this.settings) ? num : undefined;
+        }
+        if (typeof DEFAULT_SETTINGS[key] === 'boolean') {
+            return value === true || value === 'true';
+        }
+        if (key === 'pageSize') {
+            return this.getPageSizeNames().find(size => size.toLowerCase() === String(value).toLowerCase());
+        }
+        if (key === 'orientation') {
+            const orientation = String(value).toLowerCase();
+            return ['portrait', 'landscape'].includes(orientation) ? orientation : undefined;
+        }
+        if (key === 'fontFamily') {
+            return FONT_STACKS[value] !== undefined ? value : undefined;
+        }
+
+        return String(value);
+    }
+
+    // CSS shorthand order: top, right, bottom, left
+    parseMargins(value) {
+        const values = String(value).split(/[\s,]+/).map(parseFloat).filter(num => isValidSetting('marginTop', num, this.settings));
+        if (values.length === 0) return {};
+
+        const [top, right = top, bottom = top, left = right] = values;
+        return { marginTop: top, marginRight: right, marginBottom: bottom, marginLeft: left };
+    }
+
+    getPageSizeNames() {
+        return [...Object.keys(PAGE_DIMENSIONS), ...this.settings.customPresets.map(preset => preset.name)];
+    }
+
+    getSetupKey(file, setup) {
+        return `${file ? file.path : ''}|${JSON.stringify(setup)}`;
+    }
+
+    // Drop cached breaks of a note whose effective page setup changed
+    invalidateFile(file) {
+        const key = this.getSetupKey(file, this.resolvePageSetup(file));
+        let changed = false;
+
+        this.calculatedBreaks.forEach((entry, targetEl) => {
+            if (entry.file === file && entry.key !== key) {
+                this.calculatedBreaks.delete(targetEl);
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.updateAllViews();
+        }
+    }
+
+    // Breaks of the active note in the mode it is currently shown in
+    getActivePageContext() {
+        // The most recent editor leaf, so the sidebar can act on it while focused
+        const leaf = this.app.workspace.getMostRecentLeaf();
+        const view = leaf && leaf.view instanceof MarkdownView ? leaf.view : null;
+        if (!view) return null;
+
+        const isEditMode = view.getMode() === 'source';
+        const targetEl = isEditMode ?
+            view.contentEl.querySelector('.cm-scroller') :
+            view.contentEl.querySelector('.markdown-preview-view');
+        const entry = targetEl && this.calculatedBreaks.get(targetEl);
+        if (!entry) return null;
+
+        return { view, targetEl, entry, isEditMode };
+    }
+
+    // `editingOnly` commands work from the editor's breaks and are not offered in reading view
+    runPageCommand(checking, action, editingOnly = false) {
+        const context = this.getActivePageContext();
+        if (checking) return !!context && (!editingOnly || context.isEditMode);
+
+        if (!context) {
+            new Notice('No page breaks calculated for this note yet');
+            return;
+        }
+        action(context);
+    }
+
+    // Page under the cursor in edit mode, at the top of the viewport in reading view
+    getCurrentPage(context) {
+        const sheetTops = this.getSheetTops(context.targetEl);
+        if (sheetTops) {
+            return Math.max(1, sheetTops.filter(top => top <= context.targetEl.scrollTop + 1).length);
+        }
+
+        let y = context.targetEl.scrollTop + 1;
+
+        if (context.isEditMode) {
+            const cm = EditorView.findFromDOM(context.targetEl);
+            if (cm) {
+                y = cm.lineBlockAt(cm.state.selection.main.head).top + this.getDocumentTop(cm, context.targetEl);
+            }
+        }
+
+        return context.entry.breaks.filter(pageBreak => pageBreak.y <= y).length + 1;
+    }
+
+    goToPage(context, pageNumber) {
+        const { entry, targetEl } = context;
+        const page = Math.max(1, Math.min(pageNumber, entry.breaks.length + 1));
+        const sheetTops = this.getSheetTops(targetEl);
+        const y = sheetTops ? sheetTops[page - 1] || 0 :
+            page === 1 ? 0 : entry.breaks[page - 2].y;
+
+        if (context.isEditMode) {
+            const cm = EditorView.findFromDOM(targetEl);
+            if (cm) {
+                const pos = cm.lineBlockAtHeight(Math.max(0, y - this.getDocumentTop(cm, targetEl))).from;
+                context.view.editor.setCursor(context.view.editor.offsetToPos(pos));
+            }
+        }
+
+        targetEl.scrollTo({ top: Math.max(0, y - 10) });
+    }
+
+    // Pages of the active note with their source ranges, built from the rendered breaks
+    buildPageMap(context) {
+        const { entry, targetEl, view } = context;
+
+        // Reading view breaks carry no document positions
+        const cm = context.isEditMode ? EditorView.findFromDOM(targetEl) : null;
+        if (!cm) {
+            new Notice('Switch to editing view to build the page map');
+            return null;
+        }
+
+        const doc = cm.state.doc;
+        const starts = [0, ...entry.breaks.map(pageBreak => Math.min(pageBreak.pos || 0, doc.length))];
+
+        return {
+            file: view.file ? view.file.path : null,
+            pageSize: entry.setup.pageSize,
+            orientation: entry.setup.orientation,
+            pageCount: starts.length,
+            pages: starts.map((start, index) => {
+                const end = index + 1 < starts.length ? starts[index + 1] : doc.length;
+                const summary = entry.pages[index];
+
+                return {
+                    page: index + 1,
+                    startLine: doc.lineAt(start).number,
+                    endLine: doc.lineAt(Math.max(start, end - 1)).number,
+                    startOffset: start,
+                    endOffset: end,
+                    headings: summary ? summary.headings : [],
+                    // The break at the end of this page cuts through a block
+                    split: index < entry.breaks.length && entry.breaks[index].offset > 0,
+                };
+            }),
+        };
+    }
+
+    formatPageMapTable(pageMap) {
+        const escape = text => String(text).replace(/\|/g, '\\|');
+        const rows = pageMap.pages.map(page => `| ${page.page} | ${page.startLine}–${page.endLine} | ` +
+            `${page.startOffset}–${page.endOffset} | ${page.headings.map(escape).join('; ')} | ${page.split ? 'yes' : ''} |`);
+
+        return [
+            '| Page | Lines | Offsets | Headings | Split |',
+            '| ---: | --- | --- | --- | --- |',
+            ...rows,
+        ].join('\n') + '\n';
+    }
+
+    // Written next to the note as <name>.pagemap.json, plus <name>.pagemap.md when enabled
+    async exportPageMap(context) {
+        const pageMap = this.buildPageMap(context);
+        const file = context.view.file;
+        if (!pageMap || !file) return;
+
+        const folder = file.parent && file.parent.path !== '/' ? `${file.parent.path}/` : '';
+        const base = normalizePath(`${folder}${file.basename}.pagemap`);
+        const outputs = [[`${base}.json`, JSON.stringify(pageMap, null, 2)]];
+        if (this.settings.pageMapMarkdown) {
+            outputs.push([`${base}.md`, this.formatPageMapTable(pageMap)]);
+        }
+
+        try {
+            for (const [path, content] of outputs) {
+                await this.writeVaultFile(path, content);
+            }
+            new Notice(`Page map written to ${outputs.map(([path]) => path).join(' and ')}`);
+        } catch (error) {
+            console.error('Error exporting page map:', error);
+            new Notice('Could not write the page map');
+        }
+    }
+
+    // Measured from the same breaks the indicators show
+    reportPageLimit(context) {
+        const { entry } = context;
+        const limit = entry.setup.pageLimit;
+        if (!(limit > 0)) {
+            new Notice('No page limit is set for this note');
+            return;
+        }
+
+        const total = entry.breaks.length + 1;
+        if (total <= limit || !entry.blocks) {
+            new Notice(`Fits the ${limit}-page limit with ${total} page${total === 1 ? '' : 's'}`);
+            return;
+        }
+
+        const overflow = this.paginator.measureOverflow(entry.blocks, entry.breaks, entry.pages, limit, entry.setup);
+        new Notice(`${overflow.pages} page${overflow.pages === 1 ? '' : 's'} over the ${limit}-page limit: ` +
+            `cut about ${overflow.lines} line${overflow.lines === 1 ? '' : 's'} or ${overflow.words} words to fit`);
+    }
+
+    async writeVaultFile(path, content) {
+        const existing = this.app.vault.getAbstractFileByPath(path);
+        if (existing instanceof TFile) {
+            await this.app.vault.modify(existing, content);
+        } else {
+            await this.app.vault.create(path, content);
+        }
+    }
+
+    // The page setup and custom sizes, for sharing one calibrated setup between vaults
+    async exportPageProfile() {
+        const settings = { settingsVersion: SETTINGS_VERSION };
+        PAGE_SETUP_KEYS.forEach(key => {
+            settings[key] = this.settings[key];
+        });
+        settings.customPresets = this.settings.customPresets;
+
+        const path = normalizePath(PAGE_PROFILE_FILE);
+        try {
+            await this.writeVaultFile(path, JSON.stringify({ type: PAGE_PROFILE_TYPE, settings }, null, 2));
+            new Notice(`Page profile written to ${path}`);
+        } catch (error) {
+            console.error('Error exporting page profile:', error);
+            new Notice('Could not write the page profile');
+        }
+    }
+
+    // Accepts an exported profile or a plugin data.json; indicator styles are left alone
+    async importPageProfile(file) {
+        let data;
+        try {
+            data = JSON.parse(await this.app.vault.read(file));
+        } catch (error) {
+            new Notice(`${file.path} is not a valid JSON file`);
+            return;
+        }
+
+        const profile = data && data.type === PAGE_PROFILE_TYPE ? data.settings : data;
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+            new Notice(`${file.path} is not a page profile`);
+            return;
+        }
+
+        const migrated = migrateSettings(profile);
+        const imported = {};
+        PAGE_SETUP_KEYS.forEach(key => {
+            if (migrated[key] !== undefined) imported[key] = migrated[key];
+        });
+        const presets = Array.isArray(migrated.customPresets) ? migrated.customPresets : [];
+        if (Object.keys(imported).length === 0 && presets.length === 0) {
+            new Notice(`${file.path} has no page settings`);
+            return;
+        }
+
+        // Imported sizes replace the ones with the same name
+        const names = presets.map(preset => preset && preset.name);
+        const settings = {
+            ...this.settings,
+            ...imported,
+            customPresets: [...this.settings.customPresets.filter(preset => !names.includes(preset.name)), ...presets],
+        };
+        this.reportRepairs(validateSettings(settings), 'profile values');
+
+        this.settings = settings;
+        await this.saveSettings();
+        new Notice(`Page profile imported from ${file.path}`);
+    }
+
+    async copyPageMap(context) {
+        const pageMap = this.buildPageMap(context);
+        if (!pageMap) return;
+
+        await navigator.clipboard.writeText(JSON.stringify(pageMap, null, 2));
+        new Notice(`Page map copied (${pageMap.pageCount} pages)`);
+    }
+
+    // Print the note with a forced page break at every indicated break, so the PDF matches the indicators
+    async printWithBreaks(context) {
+        const file = context.view.file;
+        const cm = context.isEditMode ? EditorView.findFromDOM(context.targetEl) : null;
+        if (!cm || !file) {
+            new Notice('Switch to editing view to export with the indicated breaks');
+            return;
+        }
+
+        const { entry } = context;
+        const markdown = this.buildPrintMarkdown(cm.state.doc, entry);
+        const root = document.body.createDiv({ cls: 'page-break-print-root markdown-rendered' });
+        const style = document.head.createEl('style', { text: this.getPrintCss(entry) });
+        const component = new Component();
+        component.load();
+
+        const cleanup = () => {
+            document.body.removeClass('page-break-printing');
+            root.remove();
+            style.remove();
+            component.unload();
+        };
+
+        try {
+            await MarkdownRenderer.renderMarkdown(markdown, root, file.path, component);
+            this.applyPrintSections(root);
+        } catch (error) {
+            console.error('Error rendering note for print:', error);
+            new Notice('Could not prepare the note for printing');
+            cleanup();
+            return;
+        }
+
+        document.body.addClass('page-break-printing');
+        window.addEventListener('afterprint', cleanup, { once: true });
+        // Choose "Save as PDF" in the print dialog
+        window.print();
+    }
+
+    // The note's source with a break element at each calculated break position
+    buildPrintMarkdown(doc, entry) {
+        const inserts = [];
+
+        entry.breaks.forEach((pageBreak, index) => {
+            if (pageBreak.pos === undefined) return;
+
+            const pos = Math.min(pageBreak.pos, doc.length);
+            const line = doc.lineAt(pos);
+            const block = entry.blocks.find(candidate => candidate.from === pageBreak.from);
+            // The printed embed breaks by itself; only a page that starts with the embed gets a marker
+            if (pageBreak.embedded && block && (pageBreak.offset || pageBreak.y - entry.setup.calibrationOffset > block.top + 1)) return;
+            const sectionAttr = pageBreak.section && pageBreak.forced && !pageBreak.offset ? ` data-section="${index}"` : '';
+            const marker = `<div class="page-break-print-break"${sectionAttr}></div>`;
+
+            if (!pageBreak.offset || !block) {
+                inserts.push({ pos: line.from, text: `\n${marker}\n\n` });
+                return;
+            }
+
+            // A break inside a block: close it, break, and open it again where it must stay one piece
+            const firstLine = doc.lineAt(block.from);
+            switch (block.kind) {
+                case 'code': {
+                    const fence = firstLine.text.match(/^\s*(`{3,}|~{3,})/);
+                    if (fence) {
+                        inserts.push({ pos: line.from, text: `${fence[1]}\n\n${marker}\n\n${firstLine.text}\n` });
+                    }
+                    break;
+                }
+                case 'table': {
+                    const delimiter = firstLine.number < doc.lines ? doc.line(firstLine.number + 1).text : '';
+                    inserts.push({ pos: line.from, text: `\n${marker}\n\n${firstLine.text}\n${delimiter}\n` });
+                    break;
+                }
+                default: {
+                    // Keep list and quote markers in front of the break
+                    const prefix = pos === line.from ?
+                        line.text.match(/^\s*(?:>\s*)*(?:(?:[-*+]|\d+[.)])\s+)?(?:\[.\]\s+)?/)[0].length : 0;
+                    inserts.push({ pos: pos + prefix, text: '<span class="page-break-print-break"></span>' });
+                }
+            }
+        });
+
+        let source = doc.toString();
+        inserts.sort((a, b) => b.pos - a.pos).forEach(({ pos, text }) => {
+            source = source.slice(0, pos) + text + source.slice(pos);
+        });
+
+        // Properties and ---pagebreak--- markers are not printed
+        source = source.replace(FRONTMATTER_BLOCK, '');
+        return source.split('\n').map(text => PAGE_BREAK_MARKER.test(text.trim()) ? '' : text).join('\n');
+    }
+
+    // Content after a section marker goes onto that section's named @page
+    applyPrintSections(root) {
+        let pageName = '';
+
+        Array.from(root.children).forEach(el => {
+            const marker = el.matches('.page-break-print-break[data-section]') ? el :
+                el.querySelector(':scope > .page-break-print-break[data-section]');
+            if (marker) {
+                pageName = `page-break-section-${marker.getAttribute('data-section')}`;
+            }
+            if (pageName) {
+                el.style.setProperty('page', pageName);
+            }
+        });
+    }
+
+    // @page size and margins of the note, running header and footer, and the print model's typography
+    getPrintCss(entry) {
+        const { setup } = entry;
+        const templateContext = this.getTemplateContext(entry);
+        const pageSize = sectionSetup => {
+            const dims = this.paginator.getPageDimensions(sectionSetup.pageSize);
+            const portrait = sectionSetup.orientation === 'portrait';
+            return `${portrait ? dims.width : dims.height}mm ${portrait ? dims.height : dims.width}mm`;
+        };
+
+        // {{page}} and {{total}} become CSS counters
+        const toContent = template => {
+            const text = this.renderTemplate(template, '\u0000page\u0000', { ...templateContext, total: '\u0000total\u0000' });
+            return text.split('\u0000').filter(Boolean).map(part => {
+                if (part === 'page') return 'counter(page)';
+                if (part === 'total') return 'counter(pages)';
+                return JSON.stringify(part);
+            }).join(' ');
+        };
+
+        const marginTop = setup.marginTop + (setup.headerTemplate ? setup.headerHeight : 0);
+        const marginBottom = setup.marginBottom + (setup.footerTemplate ? setup.footerHeight : 0);
+        const metrics = this.paginator.getPrintMetrics(setup);
+        const marginBoxes = [
+            setup.headerTemplate ? `@top-center { content: ${toContent(setup.headerTemplate)}; }` : '',
+            setup.footerTemplate ? `@bottom-center { content: ${toContent(setup.footerTemplate)}; }` : '',
+        ].join(' ');
+
+        const sectionPages = entry.breaks
+            .map((pageBreak, index) => pageBreak.section && pageBreak.forced && !pageBreak.offset ?
+                `@page page-break-section-${index} { size: ${pageSize(this.paginator.getSectionSetup(setup, pageBreak.section))}; }` : '')
+            .join('\n');
+
+        return `
+            @page {
+                size: ${pageSize(setup)};
+                margin: ${marginTop}mm ${setup.marginRight}mm ${marginBottom}mm ${setup.marginLeft}mm;
+                ${marginBoxes}
+            }
+            ${sectionPages}
+            .page-break-print-root {
+                font-size: ${setup.fontSize}pt;
+                line-height: ${setup.lineHeight};
+                font-family: ${metrics.fontFamily};
+                column-count: ${Math.max(1, Math.round(setup.columns) || 1)};
+            }
+        `;
+    }
+
+    breaksChanged(targetEl) {
+        this.requestStatusBarUpdate();
+        this.getOutlineViews().forEach(view => view.refresh());
+
+        const entry = targetEl && this.calculatedBreaks.get(targetEl);
+        if (entry) {
+            const breaks = this.getPublicBreaks(targetEl, entry);
+            this.app.workspace.trigger(BREAKS_UPDATED_EVENT, {
+                file: entry.file,
+                mode: targetEl.classList.contains('cm-scroller') ? 'source' : 'preview',
+                breaks,
+                pageCount: breaks.length + 1,
+            });
+        }
+    }
+
+    // Targets are a TFile or a MarkdownView; lines are zero-based like the editor's
+    createApi() {
+        return {
+            version: API_VERSION,
+            getBreaks: target => {
+                const found = this.findBreakEntry(target);
+                return found ? this.getPublicBreaks(found.targetEl, found.entry) : null;
+            },
+            getPageCount: target => {
+                const found = this.findBreakEntry(target);
+                return found ? found.entry.breaks.length + 1 : null;
+            },
+            getPageForLine: (target, line) => {
+                const found = this.findBreakEntry(target);
+                if (!found) return null;
+
+                const breaks = this.getPublicBreaks(found.targetEl, found.entry);
+                if (breaks.some(pageBreak => pageBreak.line === null)) return null;
+                return breaks.filter(pageBreak => pageBreak.line <= line).length + 1;
+            },
+            getEffectivePageSetup: target => {
+                const file = target instanceof MarkdownView ? target.file : target;
+                return { ...this.resolvePageSetup(file || null) };
+            },
+            recalculate: target => {
+                if (!target) {
+                    this.recalibrate();
+                    return;
+                }
+
+                const file = target instanceof MarkdownView ? target.file : target;
+                this.calculatedBreaks.forEach((entry, targetEl) => {
+                    if (entry.file === file) {
+                        this.calculatedBreaks.delete(targetEl);
+                    }
+                });
+                this.updateAllViews();
+            },
+        };
+    }
+
+    // A view's breaks in the mode it shows; for a file, editor breaks are preferred since they know their lines
+    findBreakEntry(target) {
+        if (target instanceof MarkdownView) {
+            const targetEl = target.getMode() === 'source' ?
+                target.contentEl.querySelector('.cm-scroller') :
+                target.contentEl.querySelector('.markdown-preview-view');
+            const entry = targetEl && this.calculatedBreaks.get(targetEl);
+            return entry ? { targetEl, entry } : null;
+        }
+
+        let found = null;
+        this.calculatedBreaks.forEach((entry, targetEl) => {
+            if (entry.file !== target || !targetEl.isConnected) return;
+            if (!found || targetEl.classList.contains('cm-scroller')) {
+                found = { targetEl, entry };
+            }
+        });
+        return found;
+    }
+
+    // Copies of the breaks, each marking where page `page` starts
+    getPublicBreaks(targetEl, entry) {
+        const cm = targetEl.classList.contains('cm-scroller') ? EditorView.findFromDOM(targetEl) : null;
+        const doc = cm ? cm.state.doc : null;
+
+        return entry.breaks.map((pageBreak, index) => {
+            const offset = doc && pageBreak.pos !== undefined ? Math.min(pageBreak.pos, doc.length) : null;
+
+            return {
+                page: index + 2,
+                y: pageBreak.y,
+                offset,
+                line: offset === null ? null : doc.lineAt(offset).number - 1,
+                forced: !!pageBreak.forced,
+                pushed: !!pageBreak.pushed,
+            };
+        });
+    }
+
+    async activateOutlineView() {
+        const { workspace } = this.app;
+        let leaf = workspace.getLeavesOfType(VIEW_TYPE_PAGE_OUTLINE)[0];
+
+        if (!leaf) {
+            leaf = workspace.getRightLeaf(false);
+            if (!leaf) {
+                new Notice('Could not open the page outline: there is no right sidebar');
+                return;
+            }
+            await leaf.setViewState({ type: VIEW_TYPE_PAGE_OUTLINE, active: true });
+        }
+
+        workspace.revealLeaf(leaf);
+    }
+
+    // Outline tabs that have not been shown since a restart hold a deferred view without our methods
+    getOutlineViews() {
+        return this.app.workspace.getLeavesOfType(VIEW_TYPE_PAGE_OUTLINE)
+            .map(leaf => leaf.view)
+            .filter(view => view instanceof PageOutlineView);
+    }
+
+    // Coalesce cursor, scroll and typing updates into one per frame
+    requestStatusBarUpdate() {
+        if (this.statusBarFrame) return;
+
+        this.statusBarFrame = window.requestAnimationFrame(() => {
+            this.statusBarFrame = null;
+            this.updateStatusBar();
+        });
+    }
+
+    updateStatusBar() {
+        const context = this.getActivePageContext();
+        const el = this.statusBarEl;
+
+        if (!context || !context.entry.setup.enabled) {
+            el.empty();
+            el.removeClass('page-break-status-over');
+            el.removeAttribute('aria-label');
+            return;
+        }
+
+        const total = context.entry.breaks.length + 1;
+        const current = Math.min(this.getCurrentPage(context), total);
+
+        this.getOutlineViews().forEach(view => view.highlightPage(current));
+        const limit = context.entry.setup.pageLimit;
+        const isOver = limit > 0 && total > limit;
+
+        el.setText(`Page ${current} of ${total}`);
+        el.toggleClass('page-break-status-over', isOver);
+
+        if (isOver) {
+            const over = total - limit;
+            el.setAttribute('aria-label', `Over the page limit of ${limit} by ${over} page${over === 1 ? '' : 's'}`);
+        } else {
+            el.setAttribute('aria-label', limit > 0 ? `Page limit: ${limit}` : 'Go to page…');
+        }
+    }
+
+    // Offset of the CodeMirror document inside its scroller
+    getDocumentTop(cm, scroller) {
+        return cm.documentTop - scroller.getBoundingClientRect().top + scroller.scrollTop;
+    }
+
+    async togglePageBreaks() {
+        await this.setPageBreaksShown(!this.settings.showPageBreaks);
+    }
+
+    // Kept in settings without a recalculation, so the choice survives a restart
+    async setPageBreaksShown(shown) {
+        this.settings.showPageBreaks = shown;
+        this.applyIndicatorStyle();
+        await this.saveVisibility();
+    }
+
+    // Hidden panes are saved by leaf id, which is not a public API but is kept in the workspace
+    // across restarts; a leaf without one stays hidden for this session only
+    isPaneHidden(leaf) {
+        return leaf.id === undefined ? this.unsavedHiddenLeaves.has(leaf) : this.settings.hiddenLeaves.includes(leaf.id);
+    }
+
+    async togglePaneVisibility(leaf) {
+        const hidden = this.isPaneHidden(leaf);
+        if (leaf.id === undefined) {
+            if (hidden) {
+                this.unsavedHiddenLeaves.delete(leaf);
+            } else {
+                this.unsavedHiddenLeaves.add(leaf);
+            }
+        } else {
+            this.settings.hiddenLeaves = hidden ?
+                this.settings.hiddenLeaves.filter(id => id !== leaf.id) :
+                [...this.settings.hiddenLeaves, leaf.id];
+            await this.saveVisibility();
+        }
+
+        this.controllers.get(leaf)?.update();
+        this.breaksChanged();
+        new Notice(hidden ? 'Page breaks shown in this pane' : 'Page breaks hidden in this pane');
+    }
+
+    // Forget panes that were closed since they were hidden
+    async pruneHiddenLeaves() {
+        const ids = new Set();
+        this.app.workspace.iterateAllLeaves(leaf => ids.add(leaf.id));
+
+        const kept = this.settings.hiddenLeaves.filter(id => ids.has(id));
+        if (kept.length !== this.settings.hiddenLeaves.length) {
+            this.settings.hiddenLeaves = kept;
+            await this.saveVisibility();
+        }
+    }
+
+    // Visibility is stored without recalculating any breaks
+    async saveVisibility() {
+        try {
+            await this.saveData(this.settings);
+        } catch (error) {
+            console.error('Error saving page break visibility:', error);
+            new Notice('Could not save the page break visibility');
+        }
+    }
+
+    // Limit of the deepest folder with one that contains the note
+    getFolderPageLimit(path) {
+        const matches = this.settings.folderPageLimits
+            .filter(entry => this.isInFolder(path, entry.folder))
+            .sort((a, b) => b.folder.length - a.folder.length);
+
+        return matches.length > 0 ? matches[0].limit : undefined;
+    }
+
+    // Pane and folder switches; a note's `pagebreak: false` is handled with its page setup
+    isShownIn(leaf, file) {
+        if (this.isPaneHidden(leaf)) return false;
+        return !file || this.isFolderIncluded(file.path);
+    }
+
+    isInFolder(path, folder) {
+        return path.startsWith(`${folder}/`);
+    }
+
+    // The deepest listed folder around the note decides; with an include list, notes outside it are left out
+    isFolderIncluded(path) {
+        const depth = folders => Math.max(-1, ...folders
+            .filter(folder => this.isInFolder(path, folder))
+            .map(folder => folder.length));
+        const included = depth(this.settings.includeFolders);
+        const excluded = depth(this.settings.excludeFolders);
+
+        if (included < 0 && excluded < 0) {
+            return this.settings.includeFolders.length === 0;
+        }
+        return included > excluded;
+    }
+
+    togglePagedMode() {
+        this.pagedMode = !this.pagedMode;
+        this.applyIndicatorStyle();
+
+        if (this.pagedMode) {
+            // Sheets are a reading view feature; showing them also undoes the hidden state
+            if (!this.settings.showPageBreaks) {
+                this.setPageBreaksShown(true);
+            }
+            const view = this.app.workspace.getActiveViewOfType(MarkdownView);
+            if (view && view.getMode() === 'source') {
+                view.setState({ ...view.getState(), mode: 'preview' }, { history: false });
+            }
+        }
+
+        this.recalibrate();
+    }
+
+    recalibrate() {
+        this.removeAllPageBreaks();
+        this.updateAllViews();
+    }
+
+    // Fit the page height scale and offset so the predicted breaks land where a real export broke the note
+    async calibrateFromPdf(context, pdfFile) {
+        const { entry, targetEl } = context;
+        const cm = context.isEditMode ? EditorView.findFromDOM(targetEl) : null;
+        if (!cm || !entry.blocks) {
+            new Notice('Switch to editing view to calibrate');
+            return;
+        }
+
+        const progress = new Notice('Reading PDF…', 0);
+        let pageTexts;
+        try {
+            pageTexts = await this.readPdfPageStarts(pdfFile);
+        } catch (error) {
+            console.error('Error reading PDF:', error);
+            new Notice('Could not read the PDF');
+            return;
+        } finally {
+            progress.hide();
+        }
+
+        const doc = cm.state.doc;
+        const actual = this.locatePdfPages(doc.toString(), pageTexts);
+        if (!actual.some(pos => pos !== null)) {
+            new Notice('None of the PDF pages could be found in this note');
+            return;
+        }
+
+        const docTop = this.getDocumentTop(cm, targetEl);
+        const lineY = pos => cm.lineBlockAt(pos).top + docTop;
+        const baseHeight = this.paginator.getPageHeight({ ...entry.setup, pageHeightScale: 1 });
+        const layoutSetup = { ...entry.setup, calibrationOffset: 0 };
+
+        const evaluate = scale => {
+            const scaledSetup = { ...layoutSetup, pageHeightScale: scale };
+            const breaks = this.paginator.finishBreaks(this.paginator.paginate(entry.blocks, scaledSetup), entry.blocks, scaledSetup);
+            const diffs = actual.map((pos, index) =>
+                pos === null || !breaks[index] ? null : lineY(pos) - breaks[index].y);
+            const matched = diffs.filter(diff => diff !== null);
+            const offset = matched.length > 0 ? matched.reduce((sum, diff) => sum + diff, 0) / matched.length : 0;
+
+            // A page too many or too few costs as much as being off by a whole page
+            const pageCountError = Math.abs(breaks.length + 1 - pageTexts.length);
+            const error = matched.reduce((sum, diff) => sum + (diff - offset) ** 2, 0) +
+                pageCountError * baseHeight ** 2;
+
+            return { scale, breaks, diffs, offset, error };
+        };
+
+        let best = null;
+        for (let step = 0; step <= 160; step++) {
+            const result = evaluate(0.8 + step * 0.0025);
+            if (!best || result.error < best.error) {
+                best = result;
+            }
+        }
+
+        this.settings.pageHeightScale = Math.round(best.scale * 10000) / 10000;
+        this.settings.calibrationOffset = Math.round(best.offset);
+        await this.saveSettings();
+
+        const lineHeight = this.paginator.getPrintMetrics(entry.setup).fontSizePx * entry.setup.lineHeight;
+        const rows = actual.map((pos, index) => {
+            const predicted = best.breaks[index];
+            return {
+                page: index + 2,
+                actualLine: pos === null ? null : doc.lineAt(pos).number,
+                predictedLine: predicted && predicted.pos !== undefined ? doc.lineAt(Math.min(predicted.pos, doc.length)).number : null,
+                error: best.diffs[index] === null ? null : (best.diffs[index] - best.offset) / lineHeight,
+            };
+        });
+
+        new CalibrationReportModal(this.app, {
+            file: pdfFile,
+            pdfPages: pageTexts.length,
+            predictedPages: best.breaks.length + 1,
+            scale: this.settings.pageHeightScale,
+            offset: this.settings.calibrationOffset,
+            rows,
+        }).open();
+    }
+
+    // Text at the top of every page, using the PDF reader that ships with Obsidian
+    async readPdfPageStarts(pdfFile) {
+        const pdfjs = await loadPdfJs();
+        const data = await this.app.vault.readBinary(pdfFile);
+        const pdf = await pdfjs.getDocument({ data: new Uint8Array(data) }).promise;
+        const pages = [];
+
+        try {
+            for (let number = 1; number <= pdf.numPages; number++) {
+                const page = await pdf.getPage(number);
+                const content = await page.getTextContent();
+                pages.push(content.items.map(item => item.str).join(' ').slice(0, 400));
+            }
+        } finally {
+            pdf.destroy();
+        }
+
+        return pages;
+    }
+
+    // Source offset where each PDF page after the first starts, or null when its text isn't found.
+    // Matching ignores everything but letters and digits, so markup and wrapping don't get in the way.
+    locatePdfPages(source, pageTexts) {
+        const isWordChar = /[\p{L}\p{N}]/u;
+        let plain = '';
+        const offsets = [];
+
+        for (let index = 0; index < source.length; index++) {
+            if (isWordChar.test(source[index])) {
+                plain += source[index].toLowerCase();
+                offsets.push(index);
+            }
+        }
+
+        let searchFrom = 0;
+        return pageTexts.slice(1).map(text => {
+            const key = text.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+            for (const length of [40, 20]) {
+                if (key.length < Math.min(length, 8)) break;
+
+                const found = plain.indexOf(key.slice(0, length), searchFrom);
+                if (found !== -1) {
+                    searchFrom = found + 1;
+                    return offsets[found];
+                }
+            }
+            return null;
+        });
+    }
+
+    // CodeMirror extension reporting where each document change starts
+    createChangeTracker() {
+        const plugin = this;
+
+        return ViewPlugin.fromClass(class {
+            update(update) {
+                if (update.docChanged) {
+                    plugin.trackDocChange(update);
+                }
+            }
+        });
+    }
+
+    trackDocChange(update) {
+        const scroller = update.view.scrollDOM;
+        let from = Infinity;
+
+        update.changes.iterChangedRanges((fromA, toA, fromB) => {
+            from = Math.min(from, fromB);
+        });
+
+        // Earlier edits that are still pending move with this change
+        const pending = this.pendingEdits.get(scroller);
+        if (pending !== undefined) {
+            from = Math.min(from, update.changes.mapPos(pending, -1));
+        }
+
+        this.pendingEdits.set(scroller, from);
+        this.debouncedEditUpdate();
+    }
+
+    processPendingEdits() {
+        this.pendingEdits.forEach((pos, scroller) => {
+            try {
+                this.updateBreaksFrom(scroller, pos);
+            } catch (error) {
+                console.error('Error updating page breaks:', error);
+            }
+        });
+        this.pendingEdits.clear();
+    }
+
+    // Recalculate an editor's breaks from the page before the first edit onwards
+    updateBreaksFrom(scroller, changePos) {
+        const entry = this.calculatedBreaks.get(scroller);
+        const cm = EditorView.findFromDOM(scroller);
+        if (!entry || !entry.blocks || !cm) return;
+
+        const { setup } = entry;
+        const changeY = cm.lineBlockAt(Math.min(changePos, cm.state.doc.length)).top +
+            this.getDocumentTop(cm, scroller);
+
+        // The first block of a page also decides where the previous page ends,
+        // so start over at the beginning of the page before the edited one
+        const page = entry.breaks.filter(pageBreak => pageBreak.y - setup.calibrationOffset <= changeY).length + 1;
+        let keepCount = Math.max(0, page - 2);
+        // Layout can't resume inside an embedded note, only before it
+        while (keepCount > 0 && entry.breaks[keepCount - 1].embedded) keepCount--;
+        const kept = entry.breaks.slice(0, keepCount);
+        const resume = kept[kept.length - 1];
+        const resumeFrom = resume ? resume.from : 0;
+
+        const blocks = this.measureEditorBlocks(scroller, resumeFrom);
+        this.paginator.applySectionMetrics(blocks, setup, resume ? resume.section : null);
+
+        // The page may start partway through its first block
+        const layoutInput = blocks.slice();
+        if (resume && resume.offset > 0 && layoutInput.length > 0) {
+            layoutInput[0] = this.paginator.skipBlockStart(layoutInput[0], resume.offset);
+        }
+
+        const layoutBreaks = this.paginator.paginate(layoutInput, setup);
+        const newBreaks = this.paginator.finishBreaks(layoutBreaks, layoutInput, setup);
+
+        entry.blocks = [...entry.blocks.filter(block => block.from < resumeFrom), ...blocks];
+        entry.breaks = [...kept, ...newBreaks];
+        entry.pages = this.paginator.summarizePages(entry.blocks, entry.breaks, setup.calibrationOffset);
+
+        this.applyEditorDecorations(scroller, entry.breaks);
+        this.breaksChanged(scroller);
+    }
+
+    // Draw live preview breaks as widgets anchored to document positions
+    applyEditorDecorations(scroller, breaks) {
+        const cm = EditorView.findFromDOM(scroller);
+        if (!cm) return;
+
+        const doc = cm.state.doc;
+        const context = this.getTemplateContext(this.calculatedBreaks.get(scroller));
+        const docTop = this.getDocumentTop(cm, scroller);
+        const ranges = [];
+
+        breaks.forEach((pageBreak, index) => {
+            if (pageBreak.pos === undefined) return;
+
+            const pos = Math.min(pageBreak.pos, doc.length);
+            const inline = !pageBreak.embedded && pos !== doc.lineAt(pos).from;
+            // Breaks inside an embedded note are all anchored at the embed line, then moved down to their place
+            const offsetY = pageBreak.embedded ?
+                Math.max(0, pageBreak.y - context.setup.calibrationOffset - docTop - cm.lineBlockAt(pos).top) : 0;
+            const widget = new PageBreakWidget(this, pageBreak, index + 2, inline,
+                this.getIndicatorLabels(index + 2, context), offsetY);
+
+            ranges.push(inline ?
+                Decoration.widget({ widget, side: 1 }).range(pos) :
+                Decoration.widget({ widget, block: true, side: -1 }).range(pos));
+        });
+
+        // Tint the lines past the last allowed page; a page starting mid-line tints from the next line
+        const limit = context.setup.pageLimit;
+        const limitBreak = limit > 0 ? breaks[limit - 1] : undefined;
+        if (limitBreak && limitBreak.pos !== undefined) {
+            const pos = Math.min(limitBreak.pos, doc.length);
+            const line = doc.lineAt(pos);
+            for (let number = pos === line.from ? line.number : line.number + 1; number <= doc.lines; number++) {
+                ranges.push(overflowLineDecoration.range(doc.line(number).from));
+            }
+        }
+
+        cm.dispatch({ effects: setPageBreaksEffect.of(Decoration.set(ranges, true)) });
+    }
+
+    // Widgets are only redrawn when their content differs; colors and sizes come from CSS variables
+    getIndicatorStyleKey(pageBreak, labels) {
+        return [pageBreak.forced, pageBreak.pushed, labels.label, labels.footer, labels.header, labels.overflow, labels.limit].join('|');
+    }
+
+    // Values the header, footer and page number templates can refer to
+    getTemplateContext(entry) {
+        const file = entry ? entry.file : null;
+
+        return {
+            setup: entry ? entry.setup : this.settings,
+            file,
+            total: entry ? entry.breaks.length + 1 : 1,
+            frontmatter: file ? this.app.metadataCache.getFileCache(file)?.frontmatter : undefined,
+        };
+    }
+
+    // {{page}}, {{total}}, {{title}}, {{date}} or {{date:YYYY-MM-DD}}; any other name reads the note's frontmatter
+    renderTemplate(template, pageNumber, context) {
+        return String(template || '').replace(/\{\{\s*([^}:]+?)\s*(?::([^}]*))?\}\}/g, (match, name, format) => {
+            switch (name) {
+                case 'page':
+                    return String(pageNumber);
+                case 'total':
+                    return String(context.total);
+                case 'title':
+                    return context.file ? context.file.basename : '';
+                case 'date':
+                    return moment().format(format || 'YYYY-MM-DD');
+                default: {
+                    const value = context.frontmatter ? context.frontmatter[name] : undefined;
+                    return value === undefined || value === null ? '' : String(value);
+                }
+            }
+        }).trim();
+    }
+
+    // A break ends one page and starts the next: the footer belongs to the page before it
+    isOverPageLimit(pageNumber, setup) {
+        return setup.pageLimit > 0 && pageNumber > setup.pageLimit;
+    }
+
+    getIndicatorLabels(pageNumber, context) {
+        const { setup } = context;
+
+        return {
+            label: this.settings.showPageNumbers ? this.renderTemplate(setup.pageNumberTemplate, pageNumber, context) : '',
+            footer: this.renderTemplate(setup.footerTemplate, pageNumber - 1, context),
+            header: this.renderTemplate(setup.headerTemplate, pageNumber, context),
+            // Starts a page past the note's page limit; the first of them says so
+            overflow: this.isOverPageLimit(pageNumber, setup),
+            limit: pageNumber === setup.pageLimit + 1 && setup.pageLimit > 0 ? `over the ${setup.pageLimit}-page limit` : '',
+        };
+    }
+
+    // Give every markdown leaf a controller and drop those of closed leaves
+    syncControllers() {
+        const leaves = this.app.workspace.getLeavesOfType('markdown');
+
+        this.controllers.forEach((controller, leaf) => {
+            if (!leaves.includes(leaf)) {
+                controller.destroy();
+                this.controllers.delete(leaf);
+            }
+        });
+
+        leaves.forEach(leaf => {
+            if (!this.controllers.has(leaf)) {
+                this.controllers.set(leaf, new PageBreakViewController(this, leaf));
+            }
+        });
+    }
+
+    updateAllViews() {
+        this.syncControllers();
+        this.controllers.forEach(controller => controller.update());
+        this.debouncedCanvasUpdate();
+    }
+
+    // Canvas nodes are not a public API; cards are found the way the canvas view keeps them
+    getCanvasNodes() {
+        return this.app.workspace.getLeavesOfType('canvas')
+            .flatMap(leaf => {
+                const nodes = leaf.view && leaf.view.canvas && leaf.view.canvas.nodes;
+                return nodes ? Array.from(nodes.values()) : [];
+            })
+            .filter(node => node.nodeEl);
+    }
+
+    async updateCanvasEstimates() {
+        if (!this.settings.canvasPageEstimates) {
+            this.clearCanvasEstimates();
+            return;
+        }
+
+        for (const node of this.getCanvasNodes()) {
+            try {
+                await this.updateCanvasEstimate(node);
+            } catch (error) {
+                console.error('Error estimating canvas card pages:', error);
+            }
+        }
+    }
+
+    // A "≈ N pages" label above each markdown card: a note's own page setup, the global one for text cards
+    async updateCanvasEstimate(node) {
+        const file = node.file instanceof TFile && node.file.extension === 'md' ? node.file : null;
+        const text = file ? await this.app.vault.cachedRead(file) : node.text;
+        const setup = this.resolvePageSetup(file);
+        let label = node.nodeEl.querySelector(':scope > .page-break-canvas-estimate');
+
+        if (typeof text !== 'string' || !setup.enabled) {
+            label?.remove();
+            return;
+        }
+
+        const key = `${file ? `${file.path}|${file.stat.mtime}` : text}|${JSON.stringify(setup)}`;
+        let estimate = this.canvasEstimates.get(node.id);
+        if (!estimate || estimate.key !== key) {
+            estimate = { key, pages: this.estimatePageCount(text, setup) };
+            this.canvasEstimates.set(node.id, estimate);
+        }
+
+        if (!label) {
+            label = node.nodeEl.createDiv({ cls: 'page-break-canvas-estimate' });
+        }
+        label.setText(`≈ ${estimate.pages} ${estimate.pages === 1 ? 'page' : 'pages'}`);
+        label.toggleClass('page-break-canvas-estimate-over', this.isOverPageLimit(estimate.pages, setup));
+    }
+
+    // Pages a note's source would print to, without a rendered view to measure
+    estimatePageCount(text, setup) {
+        const lineBlocks = this.layoutSourceLines(text.split('\n'), 0, 0, setup);
+        return this.paginator.calculate(this.readSourceBlocks(lineBlocks, 0), setup).breaks.length + 1;
+    }
+
+    // Line blocks for source that is not rendered: lines at the body line height and images at a
+    // typical size, stretched to fill `height` view pixels when it is known
+    layoutSourceLines(lines, from, top, setup, height = null) {
+        const lineHeight = setup.fontSize * setup.lineHeight * PX_PER_PT;
+        const heights = lines.map(line => this.classifySourceLine(line, false) === 'image' ? ESTIMATED_IMAGE_HEIGHT : lineHeight);
+        const total = heights.reduce((sum, lineHeightPx) => sum + lineHeightPx, 0);
+        const scale = height !== null && total > 0 ? height / total : 1;
+
+        return lines.map((line, index) => {
+            const lineBlock = { from, to: from + line.length, top, height: heights[index] * scale, lines: [line] };
+            top += lineBlock.height;
+            from += line.length + 1;
+            return lineBlock;
+        });
+    }
+
+    clearCanvasEstimates() {
+        this.getCanvasNodes().forEach(node => {
+            node.nodeEl.querySelector(':scope > .page-break-canvas-estimate')?.remove();
+        });
+        this.canvasEstimates.clear();
+    }
+
+    removeAllPageBreaks() {
+        this.controllers.forEach(controller => controller.destroy());
+        this.controllers.clear();
+        this.calculatedBreaks.clear();
+    }
+
+    clearEditorDecorations(scroller) {
+        if (!scroller.isConnected) return;
+        EditorView.findFromDOM(scroller)?.dispatch({ effects: setPageBreaksEffect.of(Decoration.none) });
+    }
+
+    // Calculate and draw the breaks of the element a leaf controller currently follows
+    updatePageBreaks(controller, file) {
+        try {
+            const targetEl = controller.targetEl;
+            const isEditMode = targetEl.classList.contains('cm-scroller');
+
+            // Hidden views have nothing to measure; they are picked up once shown
+            if (targetEl.clientWidth === 0) {
+                return;
+            }
+
+            const setup = this.resolvePageSetup(file);
+            const key = this.getSetupKey(file, setup);
+
+            // Check if we already have breaks calculated for this file and setup
+            if (this.calculatedBreaks.get(targetEl)?.key === key) {
+                return;
+            }
+
+            // Remove old breaks
+            controller.removeOverlay();
+
+            // Notes with `pagebreak: false` get no indicators
+            if (!setup.enabled) {
+                this.calculatedBreaks.set(targetEl, { key, file, setup, width: targetEl.clientWidth, breaks: [], pages: [] });
+                if (isEditMode) {
+                    this.applyEditorDecorations(targetEl, []);
+                }
+                this.breaksChanged(targetEl);
+                return;
+            }
+
+            // Paged view re-flows the note at the print width before it is measured
+            if (!isEditMode) {
+                this.preparePagedView(targetEl, setup);
+            }
+
+            // Calculate breaks - ONCE
+            const { breaks, pages, blocks } = this.calculateBreaks(targetEl, setup, controller.leaf.view);
+
+            // Store breaks
+            this.calculatedBreaks.set(targetEl, {
+                key, file, setup, width: targetEl.clientWidth, breaks, pages, blocks,
+            });
+
+            // Live preview anchors breaks to the text; reading view keeps the overlay
+            if (isEditMode) {
+                this.applyEditorDecorations(targetEl, breaks);
+            } else {
+                const breakContainer = controller.createOverlay();
+
+                if (breaks.length > 0) {
+                    this.renderPageBreaks(breakContainer, breaks, this.getTemplateContext(this.calculatedBreaks.get(targetEl)));
+                }
+                if (targetEl.hasClass('page-break-paged-view')) {
+                    this.renderPagedSheets(targetEl, breaks, setup);
+                }
+            }
+
+            this.breaksChanged(targetEl);
+
+        } catch (error) {
+            console.error('Error updating page breaks:', error);
+        }
+    }
+
+    // Size the reading view like the printed page so the sheets wrap text the way the PDF does
+    preparePagedView(previewEl, setup) {
+        const paged = this.pagedMode && setup.enabled;
+        previewEl.toggleClass('page-break-paged-view', paged);
+        previewEl.querySelector(':scope > .page-break-sheets')?.remove();
+        if (!paged) return;
+
+        const metrics = this.paginator.getPrintMetrics(setup);
+        const dims = this.paginator.getPageDimensions(setup.pageSize);
+        const portrait = setup.orientation === 'portrait';
+        const vars = {
+            '--page-break-sheet-width': (portrait ? dims.width : dims.height) * PX_PER_MM,
+            '--page-break-sheet-height': (portrait ? dims.height : dims.width) * PX_PER_MM,
+            '--page-break-content-width': metrics.textWidth,
+            '--page-break-margin-top': setup.marginTop * PX_PER_MM,
+            '--page-break-margin-right': setup.marginRight * PX_PER_MM,
+            '--page-break-margin-bottom': setup.marginBottom * PX_PER_MM,
+            '--page-break-margin-left': setup.marginLeft * PX_PER_MM,
+            '--page-break-font-size': metrics.fontSizePx,
+        };
+
+        Object.entries(vars).forEach(([name, value]) => previewEl.style.setProperty(name, `${value}px`));
+        previewEl.style.setProperty('--page-break-line-height', String(metrics.lineHeight));
+        previewEl.style.setProperty('--page-break-font-family', metrics.fontFamily);
+    }
+
+    // One sheet per page, each showing a clipped copy of the sections that fall on it
+    renderPagedSheets(previewEl, breaks, setup) {
+        previewEl.querySelector(':scope > .page-break-sheets')?.remove();
+
+        const sizer = previewEl.querySelector('.markdown-preview-sizer');
+        if (!sizer) return;
+
+        const originTop = previewEl.getBoundingClientRect().top - previewEl.scrollTop;
+        const sections = Array.from(sizer.children)
+            .filter(el => !el.matches(PREVIEW_SKIP_SELECTOR) && !PAGE_BREAK_MARKER.test(el.textContent.trim()) &&
+                !this.detectPreviewSection(el))
+            .map(el => {
+                const rect = el.getBoundingClientRect();
+                return { el, top: rect.top - originTop, bottom: rect.bottom - originTop };
+            })
+            .filter(section => section.bottom > section.top);
+        if (sections.length === 0) return;
+
+        // Sections scrolled out of view are not rendered; the pusher holds their place
+        const pusher = sizer.querySelector(':scope > .markdown-preview-pusher');
+        const first = pusher && pusher.offsetHeight > 0 ? pusher.getBoundingClientRect().top - originTop : sections[0].top;
+        const starts = [first, ...breaks.map(pageBreak => pageBreak.y - setup.calibrationOffset)];
+        const end = sections[sections.length - 1].bottom;
+
+        const context = this.getTemplateContext(this.calculatedBreaks.get(previewEl));
+        const sheets = previewEl.createDiv({ cls: 'page-break-sheets' });
+        const sheetWidth = parseFloat(previewEl.style.getPropertyValue('--page-break-sheet-width'));
+        sheets.style.zoom = String(Math.min(1, (previewEl.clientWidth - 32) / sheetWidth));
+
+        starts.forEach((start, index) => {
+            const stop = index + 1 < starts.length ? starts[index + 1] : end;
+            const sheet = sheets.createDiv({ cls: 'page-break-sheet' });
+            sheet.toggleClass('page-break-sheet-overflow', this.isOverPageLimit(index + 1, setup));
+
+            // Sections may use another paper size or orientation
+            const section = index > 0 ? breaks[index - 1].section : null;
+            if (section && (section.pageSize || section.orientation)) {
+                const sectionSetup = this.paginator.getSectionSetup(setup, section);
+                const dims = this.paginator.getPageDimensions(sectionSetup.pageSize);
+                const portrait = sectionSetup.orientation === 'portrait';
+                sheet.style.setProperty('--page-break-sheet-width', `${(portrait ? dims.width : dims.height) * PX_PER_MM}px`);
+                sheet.style.setProperty('--page-break-sheet-height', `${(portrait ? dims.height : dims.width) * PX_PER_MM}px`);
+            }
+            const content = sheet.createDiv({ cls: 'page-break-sheet-content' });
+            content.style.height = `${Math.max(0, stop - start)}px`;
+
+            sections
+                .filter(section => section.bottom > start && section.top < stop)
+                .forEach(section => {
+                    const copy = section.el.cloneNode(true);
+                    copy.addClass('page-break-sheet-section');
+                    copy.style.top = `${section.top - start}px`;
+                    content.appendChild(copy);
+                });
+
+            const header = this.renderTemplate(setup.headerTemplate, index + 1, context);
+            if (header) {
+                sheet.createDiv({ cls: 'page-break-sheet-header', text: header });
+            }
+            sheet.createDiv({
+                cls: 'page-break-sheet-footer',
+                text: setup.footerTemplate ? this.renderTemplate(setup.footerTemplate, index + 1, context) : String(index + 1),
+            });
+        });
+    }
+
+    // Scroll offsets of the paged view sheets, or null when the view is not paged
+    getSheetTops(targetEl) {
+        const sheets = targetEl.querySelector(':scope > .page-break-sheets');
+        if (!sheets || !this.settings.showPageBreaks) return null;
+
+        const originTop = targetEl.getBoundingClientRect().top - targetEl.scrollTop;
+        return Array.from(sheets.children).map(sheet => sheet.getBoundingClientRect().top - originTop);
+    }
+
+    createBreakContainer(targetEl) {
+        const container = document.createElement('div');
+        container.className = 'page-break-container';
+        container.style.height = `${targetEl.scrollHeight}px`;
+
+        const targetPosition = window.getComputedStyle(targetEl).position;
+        if (targetPosition === 'static') {
+            targetEl.style.position = 'relative';
+        }
+
+        targetEl.appendChild(container);
+
+        return container;
+    }
+
+    // Measure the rendered blocks and lay them out onto print pages
+    calculateBreaks(targetEl, setup, view) {
+        const blocks = targetEl.classList.contains('cm-scroller') ?
+            this.measureEditorBlocks(targetEl) :
+            this.measurePreviewBlocks(targetEl, view, setup);
+
+        return this.paginator.calculate(blocks, setup);
+    }
+
+    // "landscape, columns: 2, size: A3"; anything left out falls back to the note's page setup
+    parseSectionOptions(text) {
+        const options = {};
+        const keys = { size: 'pageSize', pagesize: 'pageSize', orientation: 'orientation', columns: 'columns', cols: 'columns' };
+
+        text.split(/[,;\n]/).map(part => part.trim()).filter(Boolean).forEach(part => {
+            const pair = part.match(/^([a-z-]+)\s*[:=]\s*(.+)$/i);
+            let key = pair ? keys[pair[1].toLowerCase()] : null;
+            const value = pair ? pair[2].trim() : part;
+
+            // Bare words: an orientation, a page size or "2 columns"
+            if (!pair) {
+                if (/^(portrait|landscape)$/i.test(value)) key = 'orientation';
+                else if (/^\d+\s*col/i.test(value)) key = 'columns';
+                else key = 'pageSize';
+            }
+
+            const parsed = key ? this.parseSetupValue(key, key === 'columns' ? parseInt(value) : value) : undefined;
+            if (parsed !== undefined && (key !== 'columns' || parsed >= 1)) {
+                options[key] = parsed;
+            }
+        });
+
+        return options;
+    }
+
+    describeSection(options) {
+        const parts = [options.pageSize, options.orientation, options.columns && `${options.columns} column${options.columns > 1 ? 's' : ''}`]
+            .filter(Boolean);
+        return parts.length > 0 ? `New section: ${parts.join(', ')}` : 'New section: note page setup';
+    }
+
+    // Reading view: every child of the sizer is one rendered markdown block. Only the sections near
+    // the viewport are in the DOM, the pusher standing in for those above; the renderer's section
+    // list (not a public API) gives the source lines of the others, which are estimated from the source.
+    measurePreviewBlocks(previewEl, view, setup) {
+        const sizer = previewEl.querySelector('.markdown-preview-sizer') || previewEl;
+        const originTop = previewEl.getBoundingClientRect().top - previewEl.scrollTop;
+        const sections = view && view.previewMode && view.previewMode.renderer && view.previewMode.renderer.sections;
+        if (!Array.isArray(sections) || typeof view.data !== 'string') {
+            return this.measurePreviewSections(sizer.children, originTop).blocks;
+        }
+
+        const sourceLines = view.data.split('\n');
+        const lineFroms = [];
+        sourceLines.reduce((from, line) => {
+            lineFroms.push(from);
+            return from + line.length + 1;
+        }, 0);
+
+        const state = { blocks: [], pendingBreak: false, pendingSection: null };
+        const pusher = sizer.querySelector(':scope > .markdown-preview-pusher');
+        let top = pusher ? pusher.getBoundingClientRect().top - originTop : 0;
+        let unrendered = [];
+
+        // Sections not in the DOM fill the space up to the next rendered one
+        const estimate = bottom => {
+            if (unrendered.length === 0) return;
+
+            const lineStart = Math.max(0, unrendered[0].lineStart);
+            const lineEnd = Math.min(sourceLines.length - 1, unrendered[unrendered.length - 1].lineEnd);
+            unrendered = [];
+            if (!(lineEnd >= lineStart)) return;
+
+            const height = bottom === null ? null : Math.max(0, bottom - top);
+            const lineBlocks = this.layoutSourceLines(sourceLines.slice(lineStart, lineEnd + 1), lineFroms[lineStart], top, setup, height);
+            const blocks = this.readSourceBlocks(lineBlocks, sizer.clientWidth);
+            if (blocks.length > 0) {
+                blocks[0].breakBefore = blocks[0].breakBefore || state.pendingBreak;
+                blocks[0].section = blocks[0].section || state.pendingSection;
+                state.pendingBreak = false;
+                state.pendingSection = null;
+                state.blocks.push(...blocks);
+            }
+        };
+
+        sections.forEach(section => {
+            if (!section.el || section.el.parentElement !== sizer) {
+                unrendered.push(section);
+                return;
+            }
+
+            const rect = section.el.getBoundingClientRect();
+            estimate(rect.top - originTop);
+            this.measurePreviewSections([section.el], originTop, state);
+            top = rect.bottom - originTop;
+        });
+        estimate(null);
+
+        return state.blocks;
+    }
+
+    // Embedded notes are flattened into the blocks around them, as the export prints them
+    measurePreviewSections(sectionEls, originTop, state = { blocks: [], pendingBreak: false, pendingSection: null }) {
+        Array.from(sectionEls).forEach(sectionEl => {
+            if (sectionEl.matches(PREVIEW_SKIP_SELECTOR)) return;
+
+            // Section markers start a page with new geometry
+            const section = this.detectPreviewSection(sectionEl);
+            if (section) {
+                state.pendingBreak = true;
+                state.pendingSection = section;
+                return;
+            }
+
+            const contentEl = sectionEl.firstElementChild || sectionEl;
+            const embedSizer = this.settings.flattenEmbeds ? this.getEmbedSizer(contentEl) : null;
+            if (embedSizer) {
+                this.measurePreviewSections(embedSizer.children, originTop, state);
+                return;
+            }
+
+            const forced = this.detectPreviewBreak(sectionEl, contentEl);
+            const rect = sectionEl.getBoundingClientRect();
+
+            // Empty break elements and marker paragraphs only start a new page
+            if (forced.marker || rect.height === 0) {
+                state.pendingBreak = state.pendingBreak || forced.marker;
+                return;
+            }
+
+            const block = {
+                kind: this.classifyPreviewBlock(contentEl),
+                top: rect.top - originTop,
+                height: rect.height,
+                width: contentEl.getBoundingClientRect().width || rect.width,
+                breakBefore: state.pendingBreak || forced.before,
+                breakAfter: forced.after,
+                section: state.pendingSection,
+            };
+            state.pendingBreak = false;
+            state.pendingSection = null;
+
+            this.readPreviewContent(contentEl, block);
+            state.blocks.push(block);
+        });
+
+        return state;
+    }
+
+    // The rendered sections of a note embedded as a block of its own
+    getEmbedSizer(el) {
+        const embedEl = el.matches('.markdown-embed') ? el :
+            el.childElementCount === 1 && el.firstElementChild.matches('.markdown-embed') ? el.firstElementChild : null;
+        return embedEl && embedEl.querySelector('.markdown-embed-content .markdown-preview-sizer');
+    }
+
+    // Rendered ```pagebreak-section blocks, or an HTML comment marker kept in the section
+    detectPreviewSection(sectionEl) {
+        const marker = sectionEl.querySelector('.page-break-section-marker');
+        if (marker) {
+            return this.parseSectionOptions(marker.getAttribute('data-section') || '');
+        }
+
+        const comment = Array.from(sectionEl.childNodes)
+            .find(node => node.nodeType === Node.COMMENT_NODE && /^\s*pagebreak-section\b/i.test(node.textContent));
+        if (comment && !sectionEl.textContent.trim()) {
+            return this.parseSectionOptions(comment.textContent.replace(/^\s*pagebreak-section\b:?/i, ''));
+        }
+
+        return null;
+    }
+
+    // page-break-* / break-* styles on the block or inside it, and ---pagebreak--- paragraphs
+    detectPreviewBreak(sectionEl, contentEl) {
+        const isPageBreak = value => FORCED_BREAK_VALUES.includes(value);
+        const styled = [sectionEl, contentEl, ...contentEl.querySelectorAll('[style*="break-"]')];
+        const forced = { before: false, after: false, marker: false };
+
+        styled.forEach(el => {
+            const style = window.getComputedStyle(el);
+            forced.before = forced.before || isPageBreak(style.breakBefore) || isPageBreak(style.pageBreakBefore);
+            forced.after = forced.after || isPageBreak(style.breakAfter) || isPageBreak(style.pageBreakAfter);
+        });
+
+        const text = contentEl.textContent.trim();
+        const isEmpty = !text && !contentEl.querySelector('img, video, iframe, svg, table');
+        forced.marker = PAGE_BREAK_MARKER.test(text) || ((forced.before || forced.after) && isEmpty);
+
+        return forced;
+    }
+
+    classifyPreviewBlock(el) {
+        const tag = el.tagName.toLowerCase();
+
+        if (/^h[1-6]$/.test(tag)) return 'heading';
+        if (el.classList.contains('callout')) return 'callout';
+        if (el.classList.contains('mermaid') || el.querySelector('.mermaid')) return 'mermaid';
+        if (el.classList.contains('math-block') || el.querySelector('mjx-container[display="true"]')) return 'math';
+        if (el.classList.contains('internal-embed') && el.classList.contains('markdown-embed')) return 'embed';
+        if (tag === 'ul' || tag === 'ol') return 'list';
+        if (tag === 'pre') return 'code';
+        if (tag === 'table' || el.querySelector('table')) return 'table';
+        if (tag === 'blockquote') return 'quote';
+        if (tag === 'hr') return 'hr';
+        if (el.querySelector('img, video, iframe, svg') && !el.textContent.trim()) return 'image';
+
+        return 'paragraph';
+    }
+
+    // Collect the text the print model re-wraps, as lines with an indent in em
+    readPreviewContent(el, block) {
+        switch (block.kind) {
+            case 'heading':
+                block.level = parseInt(el.tagName.slice(1)) || 1;
+                block.lines = [{ text: el.textContent, indent: 0 }];
+                break;
+            case 'list':
+                block.lines = Array.from(el.querySelectorAll('li')).map(li => {
+                    let depth = 1;
+                    for (let parent = li.parentElement; parent && parent !== el; parent = parent.parentElement) {
+                        if (parent.tagName === 'LI') depth++;
+                    }
+                    const text = Array.from(li.childNodes)
+                        .filter(node => !(node.nodeType === 1 && /^(UL|OL)$/.test(node.tagName)))
+                        .map(node => node.textContent)
+                        .join('');
+                    return { text, indent: depth * 2 };
+                });
+                break;
+            case 'code':
+                block.lines = el.textContent.replace(/\n$/, '').split('\n')
+                    .map(text => ({ text, indent: 1 }));
+                break;
+            case 'table':
+                block.rows = Array.from(el.querySelectorAll('tr'))
+                    .map(row => Array.from(row.children).map(cell => cell.textContent));
+                break;
+            case 'quote':
+            case 'callout':
+                block.lines = el.innerText.split('\n').map(text => ({ text, indent: 2 }));
+                break;
+            case 'paragraph':
+                block.lines = el.innerText.split('\n').map(text => ({ text, indent: 0 }));
+                break;
+        }
+    }
+
+    // Live preview: CodeMirror only renders the viewport, so read line heights from its height map.
+    // `fromPos` must be the start of a block (as recorded on a break) or 0.
+    measureEditorBlocks(scroller, fromPos = 0) {
+        const cm = EditorView.findFromDOM(scroller);
+        if (!cm) return [];
+
+        const doc = cm.state.doc;
+        const docTop = this.getDocumentTop(cm, scroller);
+        const lineBlocks = [];
+
+        for (let pos = doc.lineAt(fromPos).from; pos <= doc.length;) {
+            const lineBlock = cm.lineBlockAt(pos);
+            lineBlocks.push({
+                from: lineBlock.from,
+                to: lineBlock.to,
+                top: docTop + lineBlock.top,
+                height: lineBlock.height,
+                lines: doc.sliceString(lineBlock.from, lineBlock.to).split('\n'),
+            });
+            pos = lineBlock.to + 1;
+        }
+
+        const measureEmbed = this.settings.flattenEmbeds ?
+            lineBlock => this.measureEditorEmbed(cm, scroller, lineBlock) : null;
+        return this.readSourceBlocks(lineBlocks, cm.contentDOM.clientWidth, measureEmbed);
+    }
+
+    // Group source lines into blocks. Each line block is one or more lines drawn as a unit,
+    // with its top and height in the view; `measureEmbed` returns the blocks of a rendered embed.
+    readSourceBlocks(lineBlocks, width, measureEmbed = null) {
+        const blocks = [];
+        let current = null;
+        let inFence = false;
+        let inFrontmatter = false;
+        let pendingBreak = false;
+        let pendingSection = null;
+        let sectionFence = null; // Lines of an open ```pagebreak-section block
+
+        for (const lineBlock of lineBlocks) {
+            const sourceLines = lineBlock.lines;
+            const text = sourceLines[0];
+
+            // Properties are not part of the exported page
+            if ((lineBlock.from === 0 && text === '---') || inFrontmatter) {
+                inFrontmatter = lineBlock.from === 0 ? sourceLines.length === 1 : text !== '---';
+                continue;
+            }
+
+            // Section markers; a rendered fenced marker can span several lines in one line block
+            if (sectionFence || (!inFence && SECTION_FENCE.test(text))) {
+                sourceLines.forEach(line => {
+                    if (!sectionFence) {
+                        sectionFence = [];
+                    } else if (/^\s*(```|~~~)\s*$/.test(line)) {
+                        pendingSection = this.parseSectionOptions(sectionFence.join('\n'));
+                        pendingBreak = true;
+                        sectionFence = null;
+                    } else {
+                        sectionFence.push(line);
+                    }
+                });
+                current = null;
+                continue;
+            }
+
+            const sectionComment = inFence ? null : text.match(SECTION_COMMENT);
+            if (sectionComment) {
+                pendingSection = this.parseSectionOptions(sectionComment[1]);
+                pendingBreak = true;
+                current = null;
+                continue;
+            }
+
+            const kind = this.classifySourceLine(text, inFence);
+            const forced = inFence ? null : this.detectSourceBreak(text);
+
+            if (forced && forced.marker) {
+                pendingBreak = true;
+                current = null;
+                continue;
+            }
+
+            // An embedded note on its own line is measured block by block where it was rendered
+            const embed = kind === 'image' && measureEmbed ? measureEmbed(lineBlock) : null;
+            if (embed && embed.blocks.length > 0) {
+                const first = embed.blocks[0];
+                first.breakBefore = first.breakBefore || pendingBreak || !!(forced && forced.before);
+                first.section = first.section || pendingSection;
+                embed.blocks.forEach(block => {
+                    block.from = lineBlock.from;
+                    block.embedFrom = lineBlock.from;
+                });
+                if (forced && forced.after) {
+                    embed.blocks[embed.blocks.length - 1].breakAfter = true;
+                }
+                blocks.push(...embed.blocks);
+                pendingBreak = embed.pendingBreak;
+                pendingSection = embed.pendingSection;
+                current = null;
+                continue;
+            }
+
+            sourceLines.forEach(line => {
+                if (/^\s*(```|~~~)/.test(line)) {
+                    inFence = !inFence;
+                }
+            });
+
+            if (kind === 'blank') {
+                current = null;
+                continue;
+            }
+
+            const continues = current && kind !== 'heading' && kind !== 'image' &&
+                (current.kind === kind || (current.kind === 'callout' && kind === 'quote'));
+
+            if (!continues || pendingBreak || (forced && forced.before)) {
+                current = { kind, from: lineBlock.from, top: lineBlock.top, height: 0, width, lines: [] };
+                current.breakBefore = pendingBreak || !!(forced && forced.before);
+                current.section = pendingSection;
+                pendingBreak = false;
+                pendingSection = null;
+                if (kind === 'heading') {
+                    current.level = text.match(/^#+/)[0].length;
+                }
+                if (kind === 'table') {
+                    current.rows = [];
+                    current.rowLines = [];
+                }
+                current.lineFroms = [];
+                blocks.push(current);
+            }
+
+            current.height += lineBlock.height;
+
+            let lineFrom = lineBlock.from;
+            sourceLines.forEach(line => {
+                current.lineFroms.push(lineFrom);
+                this.readSourceLine(line, current, current.lineFroms.length - 1);
+                lineFrom += line.length + 1;
+            });
+
+            if (forced && forced.after) {
+                current.breakAfter = true;
+                current = null;
+            }
+        }
+
+        return blocks;
+    }
+
+    // The note rendered for an ![[embed]] line, if it is in the viewport
+    measureEditorEmbed(cm, scroller, lineBlock) {
+        if (!/^\s*!\[\[[^\]]+\]\]\s*$/.test(lineBlock.lines.join('\n'))) return null;
+
+        const embedEl = Array.from(cm.contentDOM.querySelectorAll('.cm-embed-block.markdown-embed'))
+            .find(el => {
+                const pos = cm.posAtDOM(el);
+                return pos >= lineBlock.from && pos <= lineBlock.to;
+            });
+        const sizer = embedEl && this.getEmbedSizer(embedEl);
+        if (!sizer) return null;
+
+        const originTop = scroller.getBoundingClientRect().top - scroller.scrollTop;
+        return this.measurePreviewSections(sizer.children, originTop);
+    }
+
+    readSourceLine(line, block, lineIndex) {
+        const sourceLength = line.length;
+
+        switch (block.kind) {
+            case 'table':
+                // Skip the |---|---| delimiter row
+                if (!/^\s*\|?[\s:|-]+\|?\s*$/.test(line)) {
+                    block.rows.push(line.trim().replace(/^\||\|$/g, '').split('|').map(cell => this.stripMarkdown(cell)));
+                    block.rowLines.push(lineIndex);
+                }
+                break;
+            case 'code':
+                block.lines.push({ text: /^\s*(```|~~~)/.test(line) ? '' : line, indent: 1, sourceLength });
+                break;
+            case 'list': {
+                const depth = Math.floor(line.match(/^\s*/)[0].replace(/\t/g, '    ').length / 4) + 1;
+                block.lines.push({ text: this.stripMarkdown(line), indent: depth * 2, sourceLength });
+                break;
+            }
+            case 'quote':
+            case 'callout':
+                block.lines.push({ text: this.stripMarkdown(line), indent: 2, sourceLength });
+                break;
+            default:
+                block.lines.push({ text: this.stripMarkdown(line), indent: 0, sourceLength });
+        }
+    }
+
+    // Same markers as detectPreviewBreak, read from the markdown source
+    detectSourceBreak(text) {
+        if (PAGE_BREAK_MARKER.test(text.trim())) {
+            return { before: false, after: false, marker: true };
+        }
+
+        // Only the style attribute of an HTML tag counts; prose and `code` may mention the property
+        const html = text.replace(/(`+)[^`]*?\1/g, '');
+        const forced = { before: false, after: false, marker: false };
+        for (const tag of html.matchAll(/<[a-z][^>]*?\sstyle\s*=\s*(["'])(.*?)\1[^>]*>/gi)) {
+            for (const rule of tag[2].matchAll(/(?:page-)?break-(before|after)\s*:\s*([a-z]+)/gi)) {
+                if (FORCED_BREAK_VALUES.includes(rule[2].toLowerCase())) {
+                    forced[rule[1].toLowerCase()] = true;
+                }
+            }
+        }
+        if (!forced.before && !forced.after) {
+            return null;
+        }
+
+        forced.marker = !html.replace(/<[^>]*>/g, '').trim();
+        return forced;
+    }
+
+    classifySourceLine(text, inFence) {
+        if (inFence || /^\s*(```|~~~)/.test(text)) return 'code';
+        if (!text.trim()) return 'blank';
+        if (/^#{1,6}\s/.test(text)) return 'heading';
+        if (/^\s*>\s*\[!/.test(text)) return 'callout';
+        if (/^\s*>/.test(text)) return 'quote';
+        if (/^\s*\|/.test(text)) return 'table';
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(text)) return 'hr';
+        if (/^\s*([-*+]|\d+[.)])\s/.test(text)) return 'list';
+        if (/^\s*!\[/.test(text)) return 'image';
+
+        return 'paragraph';
+    }
+
+    // Reduce a markdown source line to the text that ends up on the page
+    stripMarkdown(text) {
+        return text
+            .replace(/^\s*(#{1,6}\s+|(>\s*)+(\[![^\]]*\][+-]?\s*)?|([-*+]|\d+[.)])\s+(\[.\]\s+)?)/, '')
+            .replace(/!?\[\[([^\]|]*\|)?([^\]]*)\]\]/g, '$2')
+            .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/(\*\*|__|~~|==|\*|_|`)/g, '')
+            .trim();
+    }
+
+    renderPageBreaks(container, breaks, context) {
+        const fragment = document.createDocumentFragment();
+
+        breaks.forEach((pageBreak, index) => {
+            const indicator = this.createBreakIndicator(pageBreak, index + 2, this.getIndicatorLabels(index + 2, context));
+            fragment.appendChild(indicator);
+        });
+
+        // Tint everything past the last allowed page
+        const limit = context.setup.pageLimit;
+        if (limit > 0 && breaks.length >= limit) {
+            const region = document.createElement('div');
+            region.className = 'page-break-overflow-region';
+            region.style.top = `${breaks[limit - 1].y}px`;
+            fragment.appendChild(region);
+        }
+
+        container.appendChild(fragment);
+    }
+
+    createBreakIndicator(pageBreak, pageNumber, labels) {
+        const position = pageBreak.y;
+        const indicator = document.createElement('div');
+        indicator.className = 'page-break-indicator';
+        indicator.toggleClass('page-break-forced', pageBreak.forced);
+        indicator.toggleClass('page-break-pushed', !!pageBreak.pushed);
+        indicator.toggleClass('page-break-overflow', !!labels.overflow);
+        indicator.setAttribute('data-page', pageNumber);
+        indicator.setAttribute('data-position', Math.round(position));
+
+        indicator.style.top = `${position}px`;
+
+        const line = document.createElement('div');
+        line.className = 'page-break-line';
+        indicator.appendChild(line);
+
+        // Manual and kept-together breaks always say so, even without a page number or running header
+        if (labels.label || labels.footer || labels.header || labels.limit || pageBreak.forced || pageBreak.pushed) {
+            const badge = document.createElement('div');
+            badge.className = 'page-break-number';
+
+            if (labels.footer) {
+                badge.createSpan({ cls: 'page-break-footer-text', text: labels.footer });
+            }
+            if (labels.label) {
+                badge.createSpan({ cls: 'page-break-label', text: labels.label });
+            }
+            if (labels.header) {
+                badge.createSpan({ cls: 'page-break-header-text', text: labels.header });
+            }
+            if (labels.limit) {
+                badge.createSpan({ cls: 'page-break-limit-hint', text: labels.limit });
+            }
+            if (pageBreak.forced) {
+                badge.createSpan({ cls: 'page-break-manual', text: 'manual' });
+            }
+            if (pageBreak.pushed) {
+                badge.createSpan({ cls: 'page-break-pushed-hint', text: '↑ kept together' });
+                badge.setAttribute('aria-label', 'Break moved up to keep content together');
+            }
+            indicator.appendChild(badge);
+        }
+
+        return indicator;
+    }
+}
+
+// Follows one markdown leaf through mode switches, resizes and moves between windows.
+// Owns the observers of the element showing the note and, in reading view, the overlay.
+class PageBreakViewController {
+    constructor(plugin, leaf) {
+        this.plugin = plugin;
+        this.leaf = leaf;
+        this.targetEl = null;
+        this.overlay = null;
+        this.observer = null;
+        this.sectionObserver = null;
+        this.width = 0;
+        this.debouncedRecalculate = debounce(() => this.recalculate(), 300, true);
+    }
+
+    // The editor scroller in editing view, the preview element in reading view
+    sync() {
+        const view = this.leaf.view;
+        const { settings } = this.plugin;
+        let targetEl = null;
+        if (view instanceof MarkdownView && this.plugin.isShownIn(this.leaf, view.file)) {
+            const editing = view.getMode() === 'source';
+            if (editing ? settings.showInLivePreview : settings.showInReadingView) {
+                targetEl = editing ?
+                    view.contentEl.querySelector('.cm-scroller') :
+                    view.contentEl.querySelector('.markdown-preview-view');
+            }
+        }
+
+        if (targetEl !== this.targetEl) {
+            this.detach();
+            if (targetEl) {
+                this.attach(targetEl);
+            }
+        }
+        return this.targetEl;
+    }
+
+    attach(targetEl) {
+        this.targetEl = targetEl;
+        this.width = targetEl.clientWidth;
+
+        // Use the observers of the window the view lives in, which may be a popout
+        const win = targetEl.ownerDocument.defaultView || window;
+        this.observer = new win.ResizeObserver(() => this.onResize());
+        this.observer.observe(targetEl);
+
+        // Reading view renders its content after switching mode or opening a note,
+        // and swaps sections in and out of the DOM as it scrolls
+        const sizer = targetEl.querySelector('.markdown-preview-sizer');
+        if (sizer) {
+            this.observer.observe(sizer);
+            this.sectionObserver = new win.MutationObserver(() => this.debouncedRecalculate());
+            this.sectionObserver.observe(sizer, { childList: true });
+        }
+    }
+
+    detach() {
+        if (!this.targetEl) return;
+
+        this.observer.disconnect();
+        this.observer = null;
+        this.sectionObserver?.disconnect();
+        this.sectionObserver = null;
+        this.removeOverlay();
+        if (this.targetEl.classList.contains('cm-scroller')) {
+            this.plugin.clearEditorDecorations(this.targetEl);
+        }
+        this.plugin.calculatedBreaks.delete(this.targetEl);
+        this.targetEl = null;
+    }
+
+    onResize() {
+        if (!this.targetEl) return;
+
+        // New width re-wraps everything; in reading view any size change means new content.
+        // The editor only changes height with its pane, and edits are followed by the change tracker.
+        const width = this.targetEl.clientWidth;
+        if (width !== this.width || !this.targetEl.classList.contains('cm-scroller')) {
+            this.width = width;
+            this.debouncedRecalculate();
+        }
+    }
+
+    recalculate() {
+        if (this.targetEl) {
+            this.plugin.calculatedBreaks.delete(this.targetEl);
+        }
+        this.update();
+    }
+
+    update() {
+        if (this.sync()) {
+            this.plugin.updatePageBreaks(this, this.leaf.view.file);
+        }
+    }
+
+    createOverlay() {
+        this.removeOverlay();
+        this.overlay = this.plugin.createBreakContainer(this.targetEl);
+        return this.overlay;
+    }
+
+    removeOverlay() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+        if (this.targetEl) {
+            this.targetEl.querySelector(':scope > .page-break-sheets')?.remove();
+            this.targetEl.removeClass('page-break-paged-view');
+        }
+    }
+
+    destroy() {
+        this.detach();
+    }
+}
+
+class PageOutlineView extends ItemView {
+    constructor(leaf, plugin) {
+        super(leaf);
+        this.plugin = plugin;
+        this.cards = new Map();
+    }
+
+    getViewType() {
+        return VIEW_TYPE_PAGE_OUTLINE;
+    }
+
+    getDisplayText() {
+        return 'Page outline';
+    }
+
+    getIcon() {
+        return 'separator-horizontal';
+    }
+
+    async onOpen() {
+        this.refresh();
+    }
+
+    refresh() {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.addClass('page-break-outline');
+        this.cards.clear();
+
+        const context = this.plugin.getActivePageContext();
+        if (!context || !context.entry.setup.enabled) {
+            contentEl.createDiv({ cls: 'pane-empty', text: 'No page breaks for the active note.' });
+            return;
+        }
+
+        const { setup } = context.entry;
+        const dims = this.plugin.paginator.getPageDimensions(setup.pageSize);
+        const aspect = setup.orientation === 'portrait' ?
+            `${dims.width} / ${dims.height}` : `${dims.height} / ${dims.width}`;
+
+        context.entry.pages.forEach(page => {
+            const card = contentEl.createDiv({ cls: 'page-break-outline-card' });
+            this.cards.set(page.number, card);
+
+            const thumbnail = card.createDiv({ cls: 'page-break-outline-thumbnail' });
+            thumbnail.style.aspectRatio = aspect;
+            page.thumbnail.forEach(block => {
+                const blockEl = thumbnail.createDiv({ cls: `page-break-outline-block is-${block.kind}` });
+                blockEl.style.top = `${Math.min(100, block.top * 100)}%`;
+                blockEl.style.height = `${Math.min(100, block.height * 100)}%`;
+            });
+
+            const body = card.createDiv({ cls: 'page-break-outline-body' });
+            body.createDiv({ cls: 'page-break-outline-title', text: `Page ${page.number}` });
+
+            if (page.headings.length > 0) {
+                const list = body.createEl('ul', { cls: 'page-break-outline-headings' });
+                page.headings.forEach(heading => list.createEl('li', { text: heading }));
+            } else if (page.title) {
+                body.createDiv({ cls: 'page-break-outline-excerpt', text: page.title });
+            }
+
+            body.createDiv({ cls: 'page-break-outline-meta', text: `${page.words} words` });
+
+            page.splits.forEach(kind => {
+                body.createDiv({ cls: 'page-break-outline-split', text: `${kind} split across the break` });
+            });
+
+            card.addEventListener('click', () => {
+                const current = this.plugin.getActivePageContext();
+                if (current) {
+                    this.plugin.goToPage(current, page.number);
+                }
+            });
+        });
+
+        this.highlightPage(this.plugin.getCurrentPage(context));
+    }
+
+    highlightPage(pageNumber) {
+        this.cards.forEach((card, number) => card.toggleClass('is-active', number === pageNumber));
+    }
+}
+
+class PageJumpModal extends SuggestModal {
+    constructor(app, plugin, context) {
+        super(app);
+        this.plugin = plugin;
+        this.context = context;
+        this.setPlaceholder('Type a page number or text on the page');
+    }
+
+    getSuggestions(query) {
+        const search = query.trim().toLowerCase();
+        return this.context.entry.pages.filter(page =>
+            !search || String(page.number).startsWith(search) || page.title.toLowerCase().includes(search)
+        );
+    }
+
+    renderSuggestion(page, el) {
+        el.createDiv({ text: `Page ${page.number}` });
+        el.createEl('small', { text: page.title, cls: 'page-break-suggestion-title' });
+    }
+
+    onChooseSuggestion(page) {
+        this.plugin.goToPage(this.context, page.number);
+    }
+}
+
+class PdfPickerModal extends SuggestModal {
+    constructor(app, plugin, context) {
+        super(app);
+        this.plugin = plugin;
+        this.context = context;
+        this.setPlaceholder('Pick a PDF exported from this note');
+    }
+
+    getSuggestions(query) {
+        const search = query.trim().toLowerCase();
+        const basename = this.context.view.file ? this.context.view.file.basename : '';
+
+        // Exports usually keep the note's name, so list those first
+        return this.app.vault.getFiles()
+            .filter(file => file.extension === 'pdf' && file.path.toLowerCase().includes(search))
+            .sort((a, b) => (b.basename === basename) - (a.basename === basename) || a.path.localeCompare(b.path));
+    }
+
+    renderSuggestion(file, el) {
+        el.createDiv({ text: file.basename });
+        el.createEl('small', { text: file.path, cls: 'page-break-suggestion-title' });
+    }
+
+    onChooseSuggestion(file) {
+        this.plugin.calibrateFromPdf(this.context, file);
+    }
+}
+
+class ProfilePickerModal extends SuggestModal {
+    constructor(app, plugin) {
+        super(app);
+        this.plugin = plugin;
+        this.setPlaceholder('Pick a page profile to import');
+    }
+
+    getSuggestions(query) {
+        const search = query.trim().toLowerCase();
+        const isProfile = file => file.name === PAGE_PROFILE_FILE;
+
+        return this.app.vault.getFiles()
+            .filter(file => file.extension === 'json' && file.path.toLowerCase().includes(search))
+            .sort((a, b) => isProfile(b) - isProfile(a) || a.path.localeCompare(b.path));
+    }
+
+    renderSuggestion(file, el) {
+        el.createDiv({ text: file.basename });
+        el.createEl('small', { text: file.path, cls: 'page-break-suggestion-title' });
+    }
+
+    onChooseSuggestion(file) {
+        this.plugin.importPageProfile(file);
+    }
+}
+
+class CalibrationReportModal extends Modal {
+    constructor(app, result) {
+        super(app);
+        this.result = result;
+    }
+
+    onOpen() {
+        const { contentEl, result } = this;
+        contentEl.createEl('h2', { text: 'Calibration result' });
+
+        contentEl.createEl('p', {
+            text: `Fitted against ${result.file.name}: page height scale ${result.scale}, ` +
+                `calibration offset ${result.offset}px. Both were saved to settings.`,
+        });
+        if (result.predictedPages !== result.pdfPages) {
+            contentEl.createEl('p', {
+                cls: 'page-break-calibration-warning',
+                text: `The PDF has ${result.pdfPages} pages, the plugin now predicts ${result.predictedPages}.`,
+            });
+        }
+
+        const table = contentEl.createEl('table', { cls: 'page-break-calibration-table' });
+        const head = table.createEl('tr');
+        ['Page', 'PDF starts at line', 'Predicted line', 'Remaining error'].forEach(text => head.createEl('th', { text }));
+
+        result.rows.forEach(row => {
+            const tr = table.createEl('tr');
+            tr.createEl('td', { text: String(row.page) });
+            tr.createEl('td', { text: row.actualLine === null ? 'not found' : String(row.actualLine) });
+            tr.createEl('td', { text: row.predictedLine === null ? '—' : String(row.predictedLine) });
+            tr.createEl('td', {
+                text: row.error === null ? '—' : `${row.error > 0 ? '+' : ''}${row.error.toFixed(1)} lines`,
+            });
+        });
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+class PagePresetModal extends Modal {
+    constructor(app, plugin, preset, onSubmit) {
+        super(app);
+        this.plugin = plugin;
+        this.originalName = preset ? preset.name : null;
+        this.preset = Object.assign({
+            name: '',
+            width: 210,
+            height: 297,
+            unit: 'mm',
+            marginTop: 20,
+            marginBottom: 20,
+            marginLeft: 20,
+            marginRight: 20,
+        }, preset);
+        this.onSubmit = onSubmit;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.empty();
+
+        contentEl.createEl('h2', { text: this.originalName ? 'Edit page preset' : 'New page preset' });
+
+        new Setting(contentEl)
+            .setName('Name')
+            .addText(text =>
+                text
+                    .setValue(this.preset.name)
+                    .onChange(value => {
+                        this.preset.name = value.trim();
+                    })
+            );
+
+        new Setting(contentEl)
+            .setName('Unit')
+            .setDesc('Unit for the size and margins below')
+            .addDropdown(dropdown =>
+                dropdown
+                    .addOption('mm', 'Millimetres')
+                    .addOption('in', 'Inches')
+                    .addOption('pt', 'Points')
+                    .setValue(this.preset.unit)
+                    .onChange(value => {
+                        this.preset.unit = value;
+                    })
+            );
+
+        [
+            ['width', 'Width'],
+            ['height', 'Height'],
+            ['marginTop', 'Top margin'],
+            ['marginBottom', 'Bottom margin'],
+            ['marginLeft', 'Left margin'],
+            ['marginRight', 'Right margin'],
+        ].forEach(([key, name]) => {
+            new Setting(contentEl)
+                .setName(name)
+                .addText(text =>
+                    text
+                        .setValue(String(this.preset[key]))
+                        .onChange(value => {
+                            this.preset[key] = parseFloat(value);
+                        })
+                );
+        });
+
+        new Setting(contentEl)
+            .addButton(button =>
+                button
+                    .setButtonText('Save')
+                    .setCta()
+                    .onClick(() => {
+                        const error = this.validate();
+                        if (error) {
+                            new Notice(error);
+                            return;
+                        }
+                        this.onSubmit(this.preset);
+                        this.close();
+                    })
+            );
+    }
+
+    validate() {
+        const { name } = this.preset;
+        if (!name) {
+            return 'Preset name is required';
+        }
+        if (name !== this.originalName && this.plugin.getPageSizeNames().includes(name)) {
+            return `A page size named "${name}" already exists`;
+        }
+        if (!(this.preset.width > 0) || !(this.preset.height > 0)) {
+            return 'Width and height must be positive numbers';
+        }
+        const margins = [this.preset.marginTop, this.preset.marginBottom, this.preset.marginLeft, this.preset.marginRight];
+        if (margins.some(margin => !(margin >= 0))) {
+            return 'Margins must be zero or positive numbers';
+        }
+        return null;
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+class PageBreakSettingTab extends PluginSettingTab {
+    constructor(app, plugin) {
+        super(app, plugin);
+        this.plugin = plugin;
+    }
+
+    display() {
+        const { containerEl } = this;
+        containerEl.empty();
+
+        containerEl.createEl('h2', { text: 'Page Break Indicator Settings' });
+
+        new Setting(containerEl)
+            .setName('Page size')
+            .setDesc('Standard paper size or custom preset for page break calculation')
+            .addDropdown(dropdown => {
+                Object.entries(PAGE_DIMENSIONS).forEach(([name, dims]) => {
+                    dropdown.addOption(name, dims.label);
+                });
+                this.plugin.settings.customPresets.forEach(preset => {
+                    dropdown.addOption(preset.name, `${preset.name} (${preset.width} × ${preset.height} ${preset.unit})`);
+                });
+
+                return dropdown
+                    .setValue(this.plugin.settings.pageSize)
+                    .onChange(async (value) => {
+                        this.plugin.settings.pageSize = value;
+                        Object.assign(this.plugin.settings, this.plugin.paginator.getPresetMargins(value));
+                        await this.plugin.saveSettings();
+                        this.display();
+                    });
+            });
+
+        new Setting(containerEl)
+            .setName('Orientation')
+            .setDesc('Page orientation')
+            .addDropdown(dropdown =>
+                dropdown
+                    .addOption('portrait', 'Portrait')
+                    .addOption('landscape', 'Landscape')
+                    .setValue(this.plugin.settings.orientation)
+                    .onChange(async (value) => {
+                        this.plugin.settings.orientation = value;
+                        await this.plugin.saveSettings();
+                    })
+            );
+
+        containerEl.createEl('h3', { text: 'Margins (mm)' });
+
+        new Setting(containerEl)
+            .setName('Top margin')
+            .addText(text =>
+                text
+                    .setValue(String(this.plugin.settings.marginTop))
+                    .onChange(async (value) => {
+                        await this.updateNumber('Top margin', 'marginTop', value);
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Bottom margin')
+            .addText(text =>
+                text
+                    .setValue(String(this.plugin.settings.marginBottom))
+                    .onChange(async (value) => {
+                        await this.updateNumber('Bottom margin', 'marginBottom', value);
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Left margin')
+            .addText(text =>
+                text
+                    .setValue(String(this.plugin.settings.marginLeft))
+                    .onChange(async (value) => {
+                        await this.updateNumber('Left margin', 'marginLeft', value);
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Right margin')
+            .addText(text =>
+                text
+                    .setValue(String(this.plugin.settings.marginRight))
+                    .onChange(async (value) => {
+                        await this.updateNumber('Right margin', 'marginRight', value);
+                    })
+            );
+
+        containerEl.createEl('h3', { text: 'Page presets' });
+
+        this.plugin.settings.customPresets.forEach((preset, index) => {
+            new Setting(containerEl)
+                .setName(preset.name)
+                .setDesc(`${preset.width} × ${preset.height} ${preset.unit}, margins ` +
+                    `${preset.marginTop} ${preset.marginRight} ${preset.marginBottom} ${preset.marginLeft} ${preset.unit}`)
+                .addExtraButton(button =>
+                    button
+                        .setIcon('pencil')
+                        .setTooltip('Edit preset')
+                        .onClick(() => this.editPreset(preset, index))
+                )
+                .addExtraButton(button =>
+                    button
+                        .setIcon('trash')
+                        .setTooltip('Delete preset')
+                        .onClick(async () => {
+                            this.plugin.settings.customPresets.splice(index, 1);
+                            if (this.plugin.settings.pageSize === preset.name) {
+                                this.plugin.settings.pageSize = DEFAULT_SETTINGS.pageSize;
+                            }
+                            await this.plugin.saveSettings();
+                            this.display();
+                        })
+                );
+        });
+
+        new Setting(containerEl)
+            .setDesc('Custom paper sizes appear in the page size list and can be used as pagebreak-size in frontmatter')
+            .addButton(button =>
+                button
+                    .setButtonText('Add preset')
+                    .onClick(() => this.editPreset(null, -1))
+            );
+
+        containerEl.createEl('h3', { text: 'Typography' });
+
+        new Setting(containerEl)
+            .setName('Font size')
+            .setDesc('Base font size in points (pt)')
+            .addText(text =>
+                text
+                    .setValue(String(this.plugin.settings.fontSize))
+                    .onChange(async (value) => {
+                        await this.updateNumber('Font size', 'fontSize', value);
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Line height')
+            .setDesc('Line height multiplier (1.5 = 150%)')
+            .addText(text =>
+                text
+                    .setValue(String(this.plugin.settings.lineHeight))
+                    .onChange(async (value) => {
+                        await this.updateNumber('Line height', 'lineHeight', value);
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Font family')
+            .setDesc('Font the text is re-wrapped with at the printed width')
+            .addDropdown(dropdown =>
+                dropdown
+                    .addOption('default', 'Default')
+                    .addOption('serif', 'Serif')
+                    .addOption('sans-serif', 'Sans-serif')
+                    .addOption('monospace', 'Monospace')
+                    .setValue(this.plugin.settings.fontFamily)
+                    .onChange(async (value) => {
+                        this.plugin.settings.fontFamily = value;
+                        await this.plugin.saveSettings();
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Columns')
+            .setDesc('Text columns per page; section markers can change this partway through a note')
+            .addText(text =>
+                text
+                    .setPlaceholder('1')
+                    .setValue(String(this.plugin.settings.columns))
+                    .onChange(async (value) => {
+                        await this.updateNumber('Columns', 'columns', value);
+                    })
+            );
+
+        containerEl.createEl('h3', { text: 'Pagination rules' });
+
+        new Setting(containerEl)
+            .setName('Orphan lines')
+            .setDesc('Minimum lines of a paragraph left at the bottom of a page')
+            .addText(text =>
+                text
+                    .setPlaceholder('2')
+                    .setValue(String(this.plugin.settings.orphanLines))
+                    .onChange(async (value) => {
+                        await this.updateNumber('Orphan lines', 'orphanLines', value);
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Widow lines')
+            .setDesc('Minimum lines of a paragraph carried to the top of the next page')
+            .addText(text =>
+                text
+                    .setPlaceholder('2')
+                    .setValue(String(this.plugin.settings.widowLines))
+                    .onChange(async (value) => {
+                        await this.updateNumber('Widow lines', 'widowLines', value);
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Keep headings with next block')
+            .setDesc('Never leave a heading alone at the bottom of a page')
+            .addToggle(toggle =>
+                toggle
+                    .setValue(this.plugin.settings.keepHeadingsWithNext)
+                    .onChange(async (value) => {
+                        this.plugin.settings.keepHeadingsWithNext = value;
+                        await this.plugin.saveSettings();
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Split code blocks')
+            .setDesc('Allow code blocks to continue on the next page. Images, diagrams and callouts are never split.')
+            .addToggle(toggle =>
+                toggle
+                    .setValue(this.plugin.settings.splitCodeBlocks)
+                    .onChange(async (value) => {
+                        this.plugin.settings.splitCodeBlocks = value;
+                        await this.plugin.saveSettings();
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Split tables')
+            .setDesc('Allow tables to continue on the next page between rows')
+            .addToggle(toggle =>
+                toggle
+                    .setValue(this.plugin.settings.splitTables)
+                    .onChange(async (value) => {
+                        this.plugin.settings.splitTables = value;
+                        await this.plugin.saveSettings();
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Flatten embedded notes')
+            .setDesc('Lay out ![[embedded]] notes as part of the page, as PDF export prints them, and show breaks inside them')
+            .addToggle(toggle =>
+                toggle
+                    .setValue(this.plugin.settings.flattenEmbeds)
+                    .onChange(async (value) => {
+                        this.plugin.settings.flattenEmbeds = value;
+                        await this.plugin.saveSettings();
+                    })
+            );
+
+        containerEl.createEl('h3', { text: 'Headers and footers' });
+
+        containerEl.createEl('p', {
+            cls: 'setting-item-description',
+            text: 'Templates can use {{page}}, {{total}}, {{title}}, {{date}} (or {{date:YYYY-MM-DD}}) and any frontmatter field, e.g. {{author}}.',
+        });
+
+        new Setting(containerEl)
+            .setName('Page number')
+            .setDesc('Label shown at each break for the page that starts there')
+            .addText(text =>
+                text
+                    .setPlaceholder('Page {{page}}')
+                    .setValue(this.plugin.settings.pageNumberTemplate)
+                    .onChange(async (value) => {
+                        this.plugin.settings.pageNumberTemplate = value;
+                        await this.plugin.saveSettings();
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Header')
+            .setDesc('Running header printed at the top of each page (empty = none, pagebreak-header in frontmatter overrides)')
+            .addText(text =>
+                text
+                    .setPlaceholder('{{title}}')
+                    .setValue(this.plugin.settings.headerTemplate)
+                    .onChange(async (value) => {
+                        await this.updateSetting('Header', 'headerTemplate', value);
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Header height')
+            .setDesc('Space the header takes from the text area, in mm')
+            .addText(text =>
+                text
+                    .setValue(String(this.plugin.settings.headerHeight))
+                    .onChange(async (value) => {
+                        await this.updateNumber('Header height', 'headerHeight', value);
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Footer')
+            .setDesc('Running footer printed at the bottom of each page (empty = none, pagebreak-footer in frontmatter overrides)')
+            .addText(text =>
+                text
+                    .setPlaceholder('{{page}}/{{total}}')
+                    .setValue(this.plugin.settings.footerTemplate)
+                    .onChange(async (value) => {
+                        await this.updateSetting('Footer', 'footerTemplate', value);
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Footer height')
+            .setDesc('Space the footer takes from the text area, in mm')
+            .addText(text =>
+                text
+                    .setValue(String(this.plugin.settings.footerHeight))
+                    .onChange(async (value) => {
+                        await this.updateNumber('Footer height', 'footerHeight', value);
+                    })
+            );
+
+        containerEl.createEl('h3', { text: 'Fine-tuning' });
+
+        new Setting(containerEl)
+            .setName('Calibration offset')
+            .setDesc('Fine-tune alignment in pixels (positive = move down, negative = move up)')
+            .addText(text =>
+                text
+                    .setPlaceholder('0')
+                    .setValue(String(this.plugin.settings.calibrationOffset))
+                    .onChange(async (value) => {
+                        await this.updateNumber('Calibration offset', 'calibrationOffset', value);
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Page height scale')
+            .setDesc('Correction applied to the usable page height; run "Calibrate from PDF" to fit it to a real export')
+            .addText(text =>
+                text
+                    .setPlaceholder('0.985')
+                    .setValue(String(this.plugin.settings.pageHeightScale))
+                    .onChange(async (value) => {
+                        await this.updateNumber('Page height scale', 'pageHeightScale', value);
+                    })
+            );
+
+        containerEl.createEl('h3', { text: 'Visual Appearance' });
+
+        new Setting(containerEl)
+            .setName('Style preset')
+            .setDesc('Starting point for the settings below; changing any of them switches back to custom')
+            .addDropdown(dropdown => {
+                dropdown.addOption('custom', 'Custom');
+                Object.entries(STYLE_PRESETS).forEach(([name, preset]) => dropdown.addOption(name, preset.label));
+                dropdown
+                    .setValue(this.plugin.settings.stylePreset)
+                    .onChange(async (value) => {
+                        const { label, ...values } = STYLE_PRESETS[value] || {};
+                        Object.assign(this.plugin.settings, values, { stylePreset: value });
+                        await this.plugin.saveStyle();
+                        this.display();
+                    });
+            });
+
+        new Setting(containerEl)
+            .setName('Line color')
+            .setDesc('Color of the page break indicator (hex code, empty = theme accent)')
+            .addText(text =>
+                text
+                    .setPlaceholder('#3b82f6')
+                    .setValue(this.plugin.settings.breakLineColor)
+                    .onChange(async (value) => {
+                        // Partial hex codes are expected while typing, so they are not reported
+                        if (isValidSetting('breakLineColor', value, this.plugin.settings)) {
+                            await this.updateStyle('breakLineColor', value);
+                        }
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Forced break color')
+            .setDesc('Color of breaks set by a marker in the note (hex code, empty = line color)')
+            .addText(text =>
+                text
+                    .setPlaceholder('#ef4444')
+                    .setValue(this.plugin.settings.forcedBreakColor)
+                    .onChange(async (value) => {
+                        // Partial hex codes are expected while typing, so they are not reported
+                        if (isValidSetting('forcedBreakColor', value, this.plugin.settings)) {
+                            await this.updateStyle('forcedBreakColor', value);
+                        }
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Line style')
+            .addDropdown(dropdown =>
+                dropdown
+                    .addOption('solid', 'Solid')
+                    .addOption('dashed', 'Dashed')
+                    .addOption('dotted', 'Dotted')
+                    .setValue(this.plugin.settings.breakLineStyle)
+                    .onChange(async (value) => {
+                        await this.updateStyle('breakLineStyle', value);
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Line thickness')
+            .setDesc('Thickness of the page break line in pixels')
+            .addText(text =>
+                text
+                    .setPlaceholder('2')
+                    .setValue(String(this.plugin.settings.breakLineThickness))
+                    .onChange(async (value) => {
+                        await this.updateNumber('Line thickness', 'breakLineThickness', value, true);
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Line opacity')
+            .setDesc('Opacity of the page break line (0-1)')
+            .addText(text =>
+                text
+                    .setPlaceholder('0.5')
+                    .setValue(String(this.plugin.settings.breakLineOpacity))
+                    .onChange(async (value) => {
+                        await this.updateNumber('Line opacity', 'breakLineOpacity', value, true);
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Badge position')
+            .setDesc('Where the page number badge sits on the line')
+            .addDropdown(dropdown =>
+                dropdown
+                    .addOption('left', 'Left')
+                    .addOption('right', 'Right')
+                    .addOption('center', 'Center')
+                    .addOption('gutter', 'Gutter')
+                    .setValue(this.plugin.settings.badgePosition)
+                    .onChange(async (value) => {
+                        await this.updateStyle('badgePosition', value);
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Show page numbers')
+            .setDesc('Display page numbers at each break')
+            .addToggle(toggle =>
+                toggle
+                    .setValue(this.plugin.settings.showPageNumbers)
+                    .onChange(async (value) => {
+                        this.plugin.settings.showPageNumbers = value;
+                        await this.plugin.saveSettings();
+                    })
+            );
+
+        containerEl.createEl('h3', { text: 'Visibility' });
+
+        new Setting(containerEl)
+            .setName('Show in editing view')
+            .setDesc('Show page breaks in live preview and source mode')
+            .addToggle(toggle =>
+                toggle
+                    .setValue(this.plugin.settings.showInLivePreview)
+                    .onChange(async (value) => {
+                        this.plugin.settings.showInLivePreview = value;
+                        await this.plugin.saveSettings();
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Show in reading view')
+            .addToggle(toggle =>
+                toggle
+                    .setValue(this.plugin.settings.showInReadingView)
+                    .onChange(async (value) => {
+                        this.plugin.settings.showInReadingView = value;
+                        await this.plugin.saveSettings();
+                    })
+            );
+
+        const folderList = value => value.split('\n')
+            .map(line => line.trim().replace(/^\/+|\/+$/g, ''))
+            .filter(Boolean);
+
+        new Setting(containerEl)
+            .setName('Include folders')
+            .setDesc('One folder per line; when set, only notes in these folders show page breaks')
+            .addTextArea(text =>
+                text
+                    .setPlaceholder('Manuscripts')
+                    .setValue(this.plugin.settings.includeFolders.join('\n'))
+                    .onChange(async (value) => {
+                        this.plugin.settings.includeFolders = folderList(value);
+                        await this.plugin.saveSettings();
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Exclude folders')
+            .setDesc('One folder per line; notes in these folders never show page breaks. The deepest listed folder wins, so a subfolder can be included again.')
+            .addTextArea(text =>
+                text
+                    .setPlaceholder('Daily notes\nScratch')
+                    .setValue(this.plugin.settings.excludeFolders.join('\n'))
+                    .onChange(async (value) => {
+                        this.plugin.settings.excludeFolders = folderList(value);
+                        await this.plugin.saveSettings();
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Page estimates on canvas cards')
+            .setDesc('Show about how many pages each note and text card on a canvas would print to')
+            .addToggle(toggle =>
+                toggle
+                    .setValue(this.plugin.settings.canvasPageEstimates)
+                    .onChange(async (value) => {
+                        this.plugin.settings.canvasPageEstimates = value;
+                        await this.plugin.saveSettings();
+                    })
+            );
+
+        containerEl.createEl('h3', { text: 'Page map' });
+
+        new Setting(containerEl)
+            .setName('Also export a Markdown table')
+            .setDesc('Export page map writes <note>.pagemap.md next to the JSON file')
+            .addToggle(toggle =>
+                toggle
+                    .setValue(this.plugin.settings.pageMapMarkdown)
+                    .onChange(async (value) => {
+                        this.plugin.settings.pageMapMarkdown = value;
+                        await this.plugin.saveSettings();
+                    })
+            );
+
+        containerEl.createEl('h3', { text: 'Page limit' });
+
+        new Setting(containerEl)
+            .setName('Page limit')
+            .setDesc('Mark the pages past this many in the indicators and the page counter (0 = no limit, pagebreak-limit in frontmatter overrides)')
+            .addText(text =>
+                text
+                    .setPlaceholder('0')
+                    .setValue(String(this.plugin.settings.pageLimit))
+                    .onChange(async (value) => {
+                        await this.updateNumber('Page limit', 'pageLimit', value);
+                    })
+            );
+
+        new Setting(containerEl)
+            .setName('Folder page limits')
+            .setDesc('One "folder: pages" per line; replaces the page limit above for notes in that folder')
+            .addTextArea(text =>
+                text
+                    .setPlaceholder('Grants: 5\nPapers/Conference: 8')
+                    .setValue(this.plugin.settings.folderPageLimits.map(entry => `${entry.folder}: ${entry.limit}`).join('\n'))
+                    .onChange(async (value) => {
+                        this.plugin.settings.folderPageLimits = value.split('\n')
+                            .map(line => line.match(/^\s*\/*(.+?)\/*\s*:\s*(\d+)\s*$/))
+                            .filter(Boolean)
+                            .map(match => ({ folder: match[1], limit: parseInt(match[2]) }));
+                        await this.plugin.saveSettings();
+                    })
+            );
+    }
+
+    // Hand-tuned look; the style preset no longer applies
+    // Numbers typed into a field are saved once they pass the checks settings get on load
+    async updateNumber(name, key, text, style = false) {
+        // Nothing to check until a digit is typed, e.g. a field cleared to retype it or a lone minus sign
+        if (!/\d/.test(text)) return;
+
+        const value = Number(text);
+        if (!this.acceptSetting(name, key, value, text)) return;
+
+        if (style) {
+            await this.updateStyle(key, value);
+        } else {
+            this.plugin.settings[key] = value;
+            await this.plugin.saveSettings();
+        }
+    }
+
+    async updateSetting(name, key, value) {
+        if (this.acceptSetting(name, key, value)) {
+            this.plugin.settings[key] = value;
+            await this.plugin.saveSettings();
+        }
+    }
+
+    // Rejected values are reported and left unsaved
+    acceptSetting(name, key, value, text = value) {
+        const { settings } = this.plugin;
+        if (!isValidSetting(key, value, settings)) {
+            new Notice(`${name}: "${text}" is not a valid value`);
+            return false;
+        }
+        if (!leavesRoomForText({ ...settings, [key]: value })) {
+            new Notice(`${name}: "${text}" leaves no room for text on the page`);
+            return false;
+        }
+        return true;
+    }
+
+    async updateStyle(key, value) {
+        this.plugin.settings[key] = value;
+        this.plugin.settings.stylePreset = 'custom';
+        await this.plugin.saveStyle();
+    }
+
+    editPreset(preset, index) {
+        new PagePresetModal(this.app, this.plugin, preset, async (result) => {
+            const presets = this.plugin.settings.customPresets;
+
+            if (index >= 0) {
+                if (this.plugin.settings.pageSize === presets[index].name) {
+                    this.plugin.settings.pageSize = result.name;
+                }
+                presets[index] = result;
+            } else {
+                presets.push(result);
+            }
+
+            await this.plugin.saveSettings();
+            this.display();
+        }).open();
+    }
+}
+
+module.exports = PageBreakPlugin;
\ No newline at end of file
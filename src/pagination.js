@@ -0,0 +1,578 @@
+// Page layout math, free of Obsidian and the DOM so it also runs under Node (see test/).
+// It works on blocks measured from a rendered note:
+// { kind, top, height, width, lines: [{ text, indent, sourceLength }], rows, level, from, lineFroms,
+//   breakBefore, breakAfter, section, embedFrom } with `top` and `height` in view pixels.
+// Blocks of an embedded note carry `embedFrom`, the position of the embed in the note's source.
+
+const PAGE_DIMENSIONS = {
+    A3: { width: 297, height: 420, label: 'A3 (297 × 420 mm)' },
+    A4: { width: 210, height: 297, label: 'A4 (210 × 297 mm)' },
+    A5: { width: 148, height: 210, label: 'A5 (148 × 210 mm)' },
+    B5: { width: 176, height: 250, label: 'B5 (176 × 250 mm)' },
+    Letter: { width: 215.9, height: 279.4, label: 'Letter (8.5 × 11 in)' },
+    Legal: { width: 215.9, height: 355.6, label: 'Legal (8.5 × 14 in)' },
+    Executive: { width: 184.15, height: 266.7, label: 'Executive (7.25 × 10.5 in)' },
+    Tabloid: { width: 279.4, height: 431.8, label: 'Tabloid (11 × 17 in)' },
+};
+
+// Millimetres per unit accepted for custom page presets
+const UNIT_TO_MM = {
+    mm: 1,
+    in: 25.4,
+    pt: 25.4 / 72,
+};
+
+// Blocks flagged in the page outline when a break cuts through them
+const SPLIT_FLAG_KINDS = ['heading', 'table', 'image', 'mermaid'];
+
+// CSS pixels per millimetre and per point at 96 dpi
+const PX_PER_MM = 96 / 25.4;
+const PX_PER_PT = 96 / 72;
+
+// Font families offered in settings, and the font stacks used to re-wrap text at the printed width
+const FONT_STACKS = {
+    'default': '"Inter", "Segoe UI", "Helvetica Neue", Arial, sans-serif',
+    'serif': '"Times New Roman", Georgia, serif',
+    'sans-serif': 'Helvetica, Arial, sans-serif',
+    'monospace': '"Courier New", Menlo, Consolas, monospace',
+};
+
+// Heading font sizes relative to the body font
+const HEADING_SCALES = { 1: 2, 2: 1.5, 3: 1.17, 4: 1, 5: 0.83, 6: 0.67 };
+
+// Block kinds that can be split across pages at line (or row) boundaries;
+// code blocks and tables only when the pagination rules allow it
+const SPLITTABLE_BLOCKS = ['paragraph', 'list', 'code', 'quote', 'table'];
+
+// Block kinds that are never split, as in PDF export
+const KEEP_TOGETHER_BLOCKS = ['image', 'mermaid', 'callout', 'math', 'embed'];
+
+// Space between text columns
+const COLUMN_GAP_MM = 6;
+
+const DEFAULT_PAGE_SIZE = 'A4';
+
+// Without a canvas, take an average glyph as half the font size wide
+function estimateTextWidth(text, font) {
+    const size = font.match(/([\d.]+)px/);
+    return text.length * (size ? parseFloat(size[1]) : 16) * 0.5;
+}
+
+class Paginator {
+    // `getPresets` returns the custom page sizes; `measureText(text, font)` returns a width in CSS pixels
+    constructor({ getPresets = () => [], measureText = estimateTextWidth } = {}) {
+        this.getPresets = getPresets;
+        this.measureText = measureText;
+    }
+
+    getPreset(name) {
+        return this.getPresets().find(preset => preset.name === name);
+    }
+
+    // Page width and height in mm for a built-in size or a custom preset
+    getPageDimensions(pageSize) {
+        if (PAGE_DIMENSIONS[pageSize]) {
+            return PAGE_DIMENSIONS[pageSize];
+        }
+
+        const preset = this.getPreset(pageSize);
+        if (!preset) {
+            return PAGE_DIMENSIONS[DEFAULT_PAGE_SIZE];
+        }
+
+        const toMm = UNIT_TO_MM[preset.unit] || 1;
+        return { width: preset.width * toMm, height: preset.height * toMm };
+    }
+
+    // Default margins (mm) of a custom preset; built-in sizes keep the current margins
+    getPresetMargins(pageSize) {
+        const preset = this.getPreset(pageSize);
+        if (!preset) return {};
+
+        const toMm = UNIT_TO_MM[preset.unit] || 1;
+        return {
+            marginTop: preset.marginTop * toMm,
+            marginBottom: preset.marginBottom * toMm,
+            marginLeft: preset.marginLeft * toMm,
+            marginRight: preset.marginRight * toMm,
+        };
+    }
+
+    getPageHeight(setup) {
+        const dims = this.getPageDimensions(setup.pageSize);
+        let height = setup.orientation === 'portrait' ? dims.height : dims.width;
+
+        height -= (setup.marginTop + setup.marginBottom);
+
+        // Running headers and footers take their space out of the text area
+        if (setup.headerTemplate) height -= setup.headerHeight;
+        if (setup.footerTemplate) height -= setup.footerHeight;
+
+        // The font family only changes how text wraps, not the page; the scale is fitted by "Calibrate from PDF"
+        return height * PX_PER_MM * setup.pageHeightScale;
+    }
+
+    // Page geometry and typography of the exported PDF, in CSS pixels
+    getPrintMetrics(setup) {
+        const dims = this.getPageDimensions(setup.pageSize);
+        const width = setup.orientation === 'portrait' ? dims.width : dims.height;
+
+        const columns = Math.max(1, Math.round(setup.columns) || 1);
+        const textWidth = (width - setup.marginLeft - setup.marginRight) * PX_PER_MM;
+
+        // Columns fill one after another, so a page holds `columns` column heights of text
+        return {
+            textWidth,
+            contentWidth: (textWidth - (columns - 1) * COLUMN_GAP_MM * PX_PER_MM) / columns,
+            contentHeight: this.getPageHeight(setup) * columns,
+            fontSizePx: setup.fontSize * PX_PER_PT,
+            lineHeight: setup.lineHeight,
+            fontFamily: FONT_STACKS[setup.fontFamily] || FONT_STACKS['default'],
+        };
+    }
+
+    // The note's page setup with a section marker's size, orientation and columns applied
+    getSectionSetup(setup, section) {
+        return section ? { ...setup, ...section } : setup;
+    }
+
+    // Wrap every block at the text width of the section it belongs to.
+    // `startSection` is the section in effect before the first block, when measuring resumed midway.
+    applySectionMetrics(blocks, setup, startSection) {
+        let section = startSection;
+        let metrics = this.getPrintMetrics(this.getSectionSetup(setup, section));
+
+        blocks.forEach(block => {
+            if (block.section) {
+                section = block.section;
+                metrics = this.getPrintMetrics(this.getSectionSetup(setup, section));
+            }
+            block.sectionOptions = section;
+            this.applyPrintMetrics([block], metrics);
+        });
+    }
+
+    // Turn each measured block into print-sized units (lines, rows) and spacing
+    applyPrintMetrics(blocks, metrics) {
+        const { contentWidth, fontSizePx, lineHeight, fontFamily } = metrics;
+        const bodyFont = `${fontSizePx}px ${fontFamily}`;
+        const bodyLine = fontSizePx * lineHeight;
+
+        blocks.forEach(block => {
+            // One unit per wrapped line, remembering where in the source each one starts
+            const wrapLines = (font, lineHeightPx) => {
+                const units = [];
+                block.unitStarts = [];
+
+                block.lines.forEach((line, lineIndex) => {
+                    const width = Math.max(fontSizePx, contentWidth - line.indent * fontSizePx);
+                    this.wrapText(line.text, width, font).forEach(ch => {
+                        units.push(lineHeightPx);
+                        block.unitStarts.push({ line: lineIndex, ch });
+                    });
+                });
+
+                return units;
+            };
+
+            block.gap = fontSizePx;
+
+            switch (block.kind) {
+                case 'heading': {
+                    const headingSize = fontSizePx * (HEADING_SCALES[block.level] || 1);
+                    block.units = wrapLines(`bold ${headingSize}px ${fontFamily}`, headingSize * lineHeight);
+                    block.gap = headingSize * 0.5;
+                    break;
+                }
+                case 'code': {
+                    const codeSize = fontSizePx * 0.9;
+                    block.units = wrapLines(`${codeSize}px ${FONT_STACKS['monospace']}`, codeSize * lineHeight);
+                    break;
+                }
+                case 'table': {
+                    const columns = Math.max(1, ...block.rows.map(row => row.length));
+                    const cellWidth = Math.max(fontSizePx, contentWidth / columns - fontSizePx);
+                    block.units = block.rows.map(row =>
+                        Math.max(1, ...row.map(cell => this.wrapText(cell, cellWidth, bodyFont).length)) *
+                            bodyLine + fontSizePx * 0.5
+                    );
+                    if (block.rowLines) {
+                        block.unitStarts = block.rowLines.map(line => ({ line, ch: 0 }));
+                    }
+                    break;
+                }
+                case 'paragraph':
+                case 'list':
+                case 'quote':
+                case 'callout':
+                    block.units = wrapLines(bodyFont, bodyLine);
+                    break;
+                default:
+                    // Images, diagrams and embeds keep their size unless wider than the page
+                    block.units = [block.height * Math.min(1, contentWidth / (block.width || contentWidth))];
+            }
+
+            if (block.units.length === 0) {
+                block.units = [bodyLine];
+            }
+        });
+    }
+
+    // Greedy word wrap; returns the character index where each wrapped line starts
+    wrapText(text, maxWidth, font) {
+        const spaceWidth = this.measureText(' ', font);
+        const starts = [0];
+        const words = /\S+/g;
+        let lineWidth = 0;
+        let match;
+
+        while ((match = words.exec(text))) {
+            const word = match[0];
+            const wordWidth = this.measureText(word, font);
+
+            if (lineWidth > 0 && lineWidth + spaceWidth + wordWidth > maxWidth) {
+                starts.push(match.index);
+                lineWidth = 0;
+            }
+
+            if (wordWidth > maxWidth) {
+                // Overlong words (URLs) are broken anywhere
+                const pieces = Math.ceil(wordWidth / maxWidth);
+                for (let piece = 1; piece < pieces; piece++) {
+                    starts.push(match.index + Math.floor(word.length * piece / pieces));
+                }
+                lineWidth = wordWidth % maxWidth;
+            } else {
+                lineWidth += (lineWidth > 0 ? spaceWidth : 0) + wordWidth;
+            }
+        }
+
+        return starts;
+    }
+
+    // Breaks and page summaries for the measured blocks of a whole note
+    calculate(blocks, setup) {
+        this.applySectionMetrics(blocks, setup, null);
+        const breaks = this.finishBreaks(this.paginate(blocks, setup), blocks, setup);
+
+        return { breaks, pages: this.summarizePages(blocks, breaks, setup.calibrationOffset), blocks };
+    }
+
+    // Lay out each section with its own page geometry; sections always start on a new page
+    // and page numbers simply continue across them
+    paginate(blocks, setup) {
+        const layoutBreaks = [];
+        let start = 0;
+
+        const layoutSection = end => {
+            if (end <= start) return;
+
+            const section = blocks[start].sectionOptions || null;
+            const sectionSetup = this.getSectionSetup(setup, section);
+            if (start > 0) {
+                layoutBreaks.push({ y: blocks[start].top, forced: true, pushed: false, offset: 0, blockIndex: start, section });
+            }
+
+            this.layoutBlocks(blocks.slice(start, end), this.getPrintMetrics(sectionSetup).contentHeight, sectionSetup)
+                .forEach(pageBreak => layoutBreaks.push({ ...pageBreak, blockIndex: pageBreak.blockIndex + start, section }));
+        };
+
+        blocks.forEach((block, index) => {
+            if (index > 0 && block.sectionOptions !== blocks[index - 1].sectionOptions) {
+                layoutSection(index);
+                start = index;
+            }
+        });
+        layoutSection(blocks.length);
+
+        return layoutBreaks;
+    }
+
+    // Fill pages block by block and return every break with its y position in view pixels
+    layoutBlocks(blocks, pageHeight, rules) {
+        const breaks = [];
+        // Margins that take the whole page leave nowhere to put text, and no page to break
+        if (!(pageHeight > 0)) return breaks;
+
+        let used = 0;
+        let forceNext = false;
+        let pageBlocks = []; // Blocks placed on the current page, for keep-with-next
+
+        // `blockIndex` and `offset` (print px already placed) tell where the new page starts
+        const startPage = (y, info) => {
+            breaks.push(Object.assign({ y, forced: false, pushed: false, offset: 0 }, info));
+            used = 0;
+            pageBlocks = [];
+        };
+
+        // Move a block to the next page, taking the headings right above it along
+        const breakBefore = (block, blockIndex, pushed) => {
+            let keep = pageBlocks.length;
+            if (rules.keepHeadingsWithNext) {
+                while (keep > 0 && pageBlocks[keep - 1].block.kind === 'heading') keep--;
+            }
+
+            if (keep > 0 && keep < pageBlocks.length) {
+                const carried = pageBlocks.slice(keep);
+                startPage(carried[0].block.top, { pushed: true, blockIndex: carried[0].index });
+                carried.forEach(entry => {
+                    used += entry.height;
+                });
+                pageBlocks = carried;
+            } else {
+                startPage(block.top, { pushed, blockIndex });
+            }
+        };
+
+        blocks.forEach((block, index) => {
+            // A forced break at the top of an empty page has no effect, as in print
+            if ((forceNext || block.breakBefore) && used > 0) {
+                startPage(block.top, { forced: true, blockIndex: index });
+            }
+            forceNext = !!block.breakAfter;
+
+            const units = block.units;
+            const total = units.reduce((sum, unit) => sum + unit, 0);
+            const toViewY = offset => block.top + (total > 0 ? block.height * (offset / total) : 0);
+
+            if (used + total <= pageHeight) {
+                used += total + block.gap;
+                pageBlocks.push({ block, index, height: total + block.gap });
+                return;
+            }
+
+            if (this.canSplitBlock(block, rules)) {
+                // Break between lines or rows, honoring orphan and widow limits
+                const isTable = block.kind === 'table';
+                const minBefore = isTable ? 1 : Math.max(1, rules.orphanLines);
+                const minAfter = isTable ? 1 : Math.max(1, rules.widowLines);
+                let start = 0;
+                let offset = 0;
+                let moved = false;
+
+                while (start < units.length) {
+                    let fit = 0;
+                    let fitHeight = 0;
+                    while (start + fit < units.length && used + fitHeight + units[start + fit] <= pageHeight) {
+                        fitHeight += units[start + fit];
+                        fit++;
+                    }
+
+                    if (start + fit === units.length) {
+                        used += fitHeight;
+                        break;
+                    }
+
+                    let take = Math.min(fit, units.length - start - minAfter);
+                    if (take < minBefore && used > 0 && !moved) {
+                        breakBefore(block, index, true);
+                        moved = true;
+                        continue;
+                    }
+                    if (take < 1) {
+                        take = Math.max(1, fit);
+                    }
+
+                    offset += units.slice(start, start + take).reduce((sum, unit) => sum + unit, 0);
+                    start += take;
+                    startPage(toViewY(offset), { pushed: take < fit, blockIndex: index, offset });
+                }
+            } else {
+                // Move the whole block to the next page
+                const keptTogether = KEEP_TOGETHER_BLOCKS.includes(block.kind) || units.length > 1;
+                if (used > 0) {
+                    breakBefore(block, index, keptTogether);
+                }
+
+                // Blocks taller than a page are cut where the page ends
+                let before = used;
+                let offset = 0;
+                used += total;
+                while (used > pageHeight) {
+                    offset += pageHeight - before;
+                    before = 0;
+                    startPage(toViewY(offset), { blockIndex: index, offset });
+                    used = total - offset;
+                }
+            }
+
+            used += block.gap;
+            pageBlocks.push({ block, index, height: total + block.gap });
+        });
+
+        return breaks;
+    }
+
+    canSplitBlock(block, rules) {
+        if (block.units.length < 2) return false;
+        if (block.kind === 'code') return rules.splitCodeBlocks;
+        if (block.kind === 'table') return rules.splitTables;
+
+        return SPLITTABLE_BLOCKS.includes(block.kind);
+    }
+
+    // The remainder of a block whose first `offset` print pixels sit on the previous page
+    skipBlockStart(block, offset) {
+        const total = block.units.reduce((sum, unit) => sum + unit, 0);
+        const units = block.units.slice();
+        let remaining = offset;
+
+        while (units.length > 0 && remaining > 0) {
+            if (units[0] <= remaining + 0.01) {
+                remaining -= units.shift();
+            } else {
+                units[0] -= remaining;
+                remaining = 0;
+            }
+        }
+
+        const skipped = total > 0 ? block.height * Math.min(1, offset / total) : 0;
+        const shifted = block.units.length - units.length;
+
+        return {
+            ...block,
+            top: block.top + skipped,
+            height: block.height - skipped,
+            units,
+            unitStarts: block.unitStarts && block.unitStarts.slice(shifted),
+            skippedOffset: offset,
+            breakBefore: false,
+        };
+    }
+
+    // Apply the calibration offset and record where each page starts in the source.
+    // Every layout break starts a page, however close it is to the one before.
+    finishBreaks(layoutBreaks, blocks, setup) {
+        return layoutBreaks.map(({ blockIndex, ...pageBreak }) => {
+            const block = blocks[blockIndex];
+
+            return {
+                ...pageBreak,
+                y: pageBreak.y + setup.calibrationOffset,
+                from: block?.from,
+                // Offsets are kept relative to the whole block, also when layout resumed inside it
+                offset: pageBreak.offset + (block?.skippedOffset || 0),
+                pos: block ? this.getBreakPosition(block, pageBreak.offset) : undefined,
+                embedded: block?.embedFrom !== undefined,
+            };
+        });
+    }
+
+    // Document position where a page starts, `offset` print pixels into an editor block
+    getBreakPosition(block, offset) {
+        if (block.embedFrom !== undefined) return block.embedFrom;
+        if (!block.lineFroms) return undefined;
+        if (offset <= 0 || !block.unitStarts) return block.from;
+
+        let placed = 0;
+        let index = 0;
+        while (index < block.units.length && placed + block.units[index] <= offset + 0.01) {
+            placed += block.units[index];
+            index++;
+        }
+
+        const start = block.unitStarts[index];
+        if (!start) return block.from;
+
+        // Wrapping ran on the text without markup; scale back to source columns
+        const line = block.lines[start.line];
+        const sourceLength = line && line.sourceLength !== undefined ? line.sourceLength : 0;
+        const ratio = line && line.text.length > 0 ? sourceLength / line.text.length : 0;
+
+        return block.lineFroms[start.line] + Math.min(sourceLength, Math.round(start.ch * ratio));
+    }
+
+    // Per-page summary: start position, title, headings, word count, split blocks and a thumbnail
+    summarizePages(blocks, breaks, offset) {
+        // Compare against block positions without the calibration offset
+        const starts = [0, ...breaks.map(pageBreak => pageBreak.y - offset)];
+        const docEnd = blocks.reduce((end, block) => Math.max(end, block.top + block.height), 0);
+        let previousSpan = 0;
+
+        return starts.map((start, index) => {
+            const isLast = index + 1 === starts.length;
+            const end = isLast ? Math.max(docEnd, start) : starts[index + 1];
+            const span = Math.max(1, isLast && previousSpan ? previousSpan : end - start);
+            previousSpan = end - start;
+
+            const onPage = blocks.filter(block => block.top + block.height > start + 0.5 && block.top < end - 0.5);
+            const headings = onPage.filter(block => block.kind === 'heading' && block.top >= start - 0.5);
+            const overlap = block => Math.min(end, block.top + block.height) - Math.max(start, block.top);
+
+            const first = onPage[0];
+            let title = '';
+            if (headings.length > 0) {
+                title = this.getBlockText(headings[0], 0);
+            } else if (first) {
+                title = this.getBlockText(first, first.height > 0 ? (start - first.top) / first.height : 0);
+            }
+
+            return {
+                number: index + 1,
+                y: index === 0 ? 0 : breaks[index - 1].y,
+                title,
+                headings: headings.map(heading => this.getBlockText(heading, 0)),
+                words: onPage.reduce((sum, block) =>
+                    sum + Math.round(this.countBlockWords(block) * (block.height > 0 ? overlap(block) / block.height : 1)), 0),
+                splits: isLast ? [] : onPage
+                    .filter(block => block.top + block.height > end + 0.5 && SPLIT_FLAG_KINDS.includes(block.kind))
+                    .map(block => block.kind),
+                thumbnail: onPage.map(block => ({
+                    kind: block.kind,
+                    top: (Math.max(start, block.top) - start) / span,
+                    height: overlap(block) / span,
+                })),
+            };
+        });
+    }
+
+    // What has to go for the note to fit in `limit` pages: the pages, print lines and words past the last allowed page
+    measureOverflow(blocks, breaks, pages, limit, setup) {
+        if (!(limit > 0) || breaks.length < limit) {
+            return { pages: 0, lines: 0, words: 0 };
+        }
+
+        // Compare against block positions without the calibration offset
+        const start = breaks[limit - 1].y - setup.calibrationOffset;
+        const overflow = blocks.reduce((sum, block, index) => {
+            const total = block.units.reduce((height, unit) => height + unit, 0);
+            const gap = index + 1 < blocks.length ? block.gap : 0;
+            if (block.top >= start - 0.5) return sum + total + gap;
+
+            const below = block.height > 0 ? (block.top + block.height - start) / block.height : 0;
+            return below > 0 ? sum + total * Math.min(1, below) + gap : sum;
+        }, 0);
+
+        const metrics = this.getPrintMetrics(setup);
+        return {
+            pages: breaks.length + 1 - limit,
+            lines: Math.ceil(overflow / (metrics.fontSizePx * metrics.lineHeight) - 0.01),
+            words: pages.slice(limit).reduce((sum, page) => sum + page.words, 0),
+        };
+    }
+
+    countBlockWords(block) {
+        const texts = block.lines ? block.lines.map(line => line.text) : (block.rows || []).map(row => row.join(' '));
+        return texts.reduce((sum, text) => sum + text.split(/\s+/).filter(Boolean).length, 0);
+    }
+
+    // Text of a block from the line at the given fraction of its height
+    getBlockText(block, fraction) {
+        const lines = block.lines || (block.rows || []).map(row => ({ text: row.join(' | ') }));
+        if (lines.length === 0) return `[${block.kind}]`;
+
+        const index = Math.min(lines.length - 1, Math.max(0, Math.floor(fraction * lines.length)));
+        const text = lines.slice(index).map(line => line.text.trim()).find(Boolean) || '';
+
+        return text.length > 80 ? `${text.slice(0, 79)}…` : text;
+    }
+}
+
+module.exports = {
+    Paginator,
+    PAGE_DIMENSIONS,
+    UNIT_TO_MM,
+    FONT_STACKS,
+    PX_PER_MM,
+    PX_PER_PT,
+};
@@ -0,0 +1,302 @@
+// Plugin settings: defaults, upgrades from older versions and validation.
+// Free of Obsidian like pagination.js, so it is tested under Node as well (see test/).
+
+const { Paginator, PAGE_DIMENSIONS, UNIT_TO_MM, FONT_STACKS } = require('./pagination');
+
+// Bumped together with a new entry in SETTINGS_MIGRATIONS
+const SETTINGS_VERSION = 2;
+
+const DEFAULT_SETTINGS = {
+    settingsVersion: SETTINGS_VERSION,
+    pageSize: 'A4',
+    orientation: 'portrait',
+    marginTop: 25.4,
+    marginBottom: 25.4,
+    marginLeft: 25.4,
+    marginRight: 25.4,
+    fontSize: 12,
+    lineHeight: 1.5,
+    fontFamily: 'default',
+    columns: 1,
+    showPageNumbers: true,
+    breakLineColor: '#3b82f6',
+    breakLineStyle: 'solid',
+    breakLineOpacity: 0.5,
+    breakLineThickness: 2,
+    forcedBreakColor: '',
+    badgePosition: 'right',
+    stylePreset: 'custom',
+    calibrationOffset: 0,
+    pageHeightScale: 0.985,
+    orphanLines: 2,
+    widowLines: 2,
+    keepHeadingsWithNext: true,
+    splitCodeBlocks: true,
+    splitTables: true,
+    pageLimit: 0,
+    pageNumberTemplate: 'Page {{page}}',
+    headerTemplate: '',
+    footerTemplate: '',
+    headerHeight: 10,
+    footerHeight: 10,
+    pageMapMarkdown: false,
+    showPageBreaks: true,
+    showInReadingView: true,
+    showInLivePreview: true,
+    includeFolders: [],
+    excludeFolders: [],
+    hiddenLeaves: [],
+    folderPageLimits: [],
+    flattenEmbeds: true,
+    canvasPageEstimates: false,
+    customPresets: [],
+};
+
+// Indicator looks offered in settings; an empty color follows the theme's accent
+const STYLE_PRESETS = {
+    'subtle': {
+        label: 'Subtle',
+        breakLineColor: '',
+        forcedBreakColor: '',
+        breakLineStyle: 'dotted',
+        breakLineOpacity: 0.35,
+        breakLineThickness: 1,
+        badgePosition: 'gutter',
+    },
+    'print-preview': {
+        label: 'Print preview',
+        breakLineColor: '#6b7280',
+        forcedBreakColor: '#374151',
+        breakLineStyle: 'dashed',
+        breakLineOpacity: 0.8,
+        breakLineThickness: 2,
+        badgePosition: 'center',
+    },
+    'high-contrast': {
+        label: 'High contrast',
+        breakLineColor: '#ff0000',
+        forcedBreakColor: '#ffbf00',
+        breakLineStyle: 'solid',
+        breakLineOpacity: 1,
+        breakLineThickness: 3,
+        badgePosition: 'right',
+    },
+};
+
+const BADGE_POSITIONS = ['left', 'right', 'center', 'gutter'];
+
+// Indicator settings saved before settings were versioned, and the keys that replaced them
+const LEGACY_SETTING_KEYS = {
+    lineColor: 'breakLineColor',
+    lineThickness: 'breakLineThickness',
+    lineStyle: 'breakLineStyle',
+};
+
+// Font names the first versions stored instead of a font family
+const LEGACY_FONT_FAMILIES = [
+    [/mono|courier|consol|menlo/i, 'monospace'],
+    [/sans|arial|helvetica|inter|segoe|verdana/i, 'sans-serif'],
+    [/serif|times|georgia|garamond|cambria/i, 'serif'],
+];
+
+// `SETTINGS_MIGRATIONS[n]` upgrades settings saved by version n, in place
+const SETTINGS_MIGRATIONS = [
+    (data) => {
+        // A legacy value only wins over a current key that was never changed
+        const unchanged = key => data[key] === undefined || data[key] === DEFAULT_SETTINGS[key];
+
+        Object.entries(LEGACY_SETTING_KEYS).forEach(([legacy, key]) => {
+            if (data[legacy] !== undefined && unchanged(key)) {
+                data[key] = data[legacy];
+            }
+            delete data[legacy];
+        });
+
+        // The page used to be given as a width and height; find the size it names
+        if (data.pageWidth > 0 && data.pageHeight > 0 && unchanged('pageSize')) {
+            const toMm = UNIT_TO_MM[data.unit] || 1;
+            const [short, long] = [data.pageWidth * toMm, data.pageHeight * toMm].sort((a, b) => a - b);
+            const match = Object.keys(PAGE_DIMENSIONS).find(name =>
+                Math.abs(PAGE_DIMENSIONS[name].width - short) < 1 && Math.abs(PAGE_DIMENSIONS[name].height - long) < 1);
+
+            if (match) {
+                data.pageSize = match;
+            } else {
+                const preset = {
+                    name: `Custom ${data.pageWidth} × ${data.pageHeight} ${data.unit || 'mm'}`,
+                    width: data.pageWidth,
+                    height: data.pageHeight,
+                    unit: UNIT_TO_MM[data.unit] ? data.unit : 'mm',
+                };
+                ['marginTop', 'marginBottom', 'marginLeft', 'marginRight'].forEach(key => {
+                    preset[key] = (data[key] !== undefined ? data[key] : DEFAULT_SETTINGS[key]) / UNIT_TO_MM[preset.unit];
+                });
+                data.customPresets = [...(Array.isArray(data.customPresets) ? data.customPresets : []), preset];
+                data.pageSize = preset.name;
+            }
+        }
+        delete data.pageWidth;
+        delete data.pageHeight;
+        delete data.unit;
+
+        if (typeof data.fontFamily === 'string' && FONT_STACKS[data.fontFamily] === undefined) {
+            const family = LEGACY_FONT_FAMILIES.find(([pattern]) => pattern.test(data.fontFamily));
+            if (family) {
+                data.fontFamily = family[1];
+            }
+        }
+
+        // Replaced by measuring the text
+        delete data.charactersPerInch;
+    },
+    (data) => {
+        // Breaks come from the content now, so none are too close to keep
+        delete data.minBreakSpacing;
+    },
+];
+
+// A hex color, or empty to follow the theme
+const OPTIONAL_COLOR = /^(#[0-9A-F]{6})?$/i;
+
+// Allowed values of settings beyond their type, which comes from DEFAULT_SETTINGS
+const SETTING_RULES = {
+    orientation: { values: ['portrait', 'landscape'] },
+    marginTop: { min: 0 },
+    marginBottom: { min: 0 },
+    marginLeft: { min: 0 },
+    marginRight: { min: 0 },
+    fontSize: { above: 0 },
+    lineHeight: { above: 0 },
+    columns: { min: 1, integer: true },
+    breakLineColor: { pattern: OPTIONAL_COLOR },
+    forcedBreakColor: { pattern: OPTIONAL_COLOR },
+    breakLineStyle: { values: ['solid', 'dashed', 'dotted'] },
+    breakLineOpacity: { min: 0, max: 1 },
+    breakLineThickness: { above: 0 },
+    badgePosition: { values: BADGE_POSITIONS },
+    stylePreset: { values: ['custom', ...Object.keys(STYLE_PRESETS)] },
+    pageHeightScale: { above: 0 },
+    orphanLines: { min: 1, integer: true },
+    widowLines: { min: 1, integer: true },
+    pageLimit: { min: 0, integer: true },
+    headerHeight: { min: 0 },
+    footerHeight: { min: 0 },
+    folderPageLimits: { item: entry => entry && typeof entry.folder === 'string' && Number.isInteger(entry.limit) && entry.limit >= 0 },
+};
+
+// Settings a note can override from frontmatter with a `pagebreak-` prefix
+const PAGE_SETUP_KEYS = [
+    'pageSize', 'orientation',
+    'marginTop', 'marginBottom', 'marginLeft', 'marginRight',
+    'fontSize', 'lineHeight', 'fontFamily', 'columns',
+    'calibrationOffset', 'pageHeightScale',
+    'orphanLines', 'widowLines', 'keepHeadingsWithNext', 'splitCodeBlocks', 'splitTables',
+    'pageLimit',
+    'pageNumberTemplate', 'headerTemplate', 'footerTemplate', 'headerHeight', 'footerHeight',
+];
+
+// Margins and running headers must leave room for at least one line of text
+const PAGE_SPACE_KEYS = ['marginTop', 'marginBottom', 'marginLeft', 'marginRight', 'headerHeight', 'footerHeight'];
+
+// Bring settings saved by an older version, or a shared profile, up to the current version
+function migrateSettings(data) {
+    const migrated = { ...data };
+    for (let version = migrated.settingsVersion || 0; version < SETTINGS_VERSION; version++) {
+        SETTINGS_MIGRATIONS[version](migrated);
+    }
+    migrated.settingsVersion = SETTINGS_VERSION;
+
+    return migrated;
+}
+
+// Drop unknown keys and reset invalid values to their defaults; returns the keys that were reset
+function validateSettings(settings) {
+    Object.keys(settings).forEach(key => {
+        if (!(key in DEFAULT_SETTINGS)) delete settings[key];
+    });
+
+    const repaired = [];
+
+    // Presets are checked one by one, so a single broken preset does not take the others along
+    const presets = Array.isArray(settings.customPresets) ? settings.customPresets : null;
+    settings.customPresets = (presets || []).filter((preset, index) => isValidPreset(preset) &&
+        !PAGE_DIMENSIONS[preset.name] &&
+        presets.findIndex(other => other && other.name === preset.name) === index);
+    if (!presets || settings.customPresets.length !== presets.length) {
+        repaired.push('customPresets');
+    }
+
+    Object.entries(DEFAULT_SETTINGS).forEach(([key, fallback]) => {
+        if (key !== 'customPresets' && !isValidSetting(key, settings[key], settings)) {
+            settings[key] = fallback;
+            repaired.push(key);
+        }
+    });
+
+    if (!leavesRoomForText(settings)) {
+        PAGE_SPACE_KEYS.forEach(key => {
+            if (settings[key] !== DEFAULT_SETTINGS[key]) {
+                settings[key] = DEFAULT_SETTINGS[key];
+                repaired.push(key);
+            }
+        });
+    }
+
+    return repaired;
+}
+
+// `settings` supplies the custom presets a page size may name
+function isValidSetting(key, value, settings) {
+    if (typeof value !== typeof DEFAULT_SETTINGS[key]) return false;
+    const rule = SETTING_RULES[key];
+    if (Array.isArray(DEFAULT_SETTINGS[key])) {
+        return Array.isArray(value) && value.every(rule ? rule.item : item => typeof item === 'string');
+    }
+
+    if (key === 'pageSize') {
+        return !!PAGE_DIMENSIONS[value] || settings.customPresets.some(preset => preset.name === value);
+    }
+    if (key === 'fontFamily') {
+        return FONT_STACKS[value] !== undefined;
+    }
+
+    if (typeof value === 'number' && !Number.isFinite(value)) return false;
+    if (!rule) return true;
+
+    if (rule.values) return rule.values.includes(value);
+    if (rule.pattern) return rule.pattern.test(value);
+
+    return (rule.min === undefined || value >= rule.min) &&
+        (rule.max === undefined || value <= rule.max) &&
+        (rule.above === undefined || value > rule.above) &&
+        (!rule.integer || Number.isInteger(value));
+}
+
+function isValidPreset(preset) {
+    if (!preset || typeof preset !== 'object' || typeof preset.name !== 'string' || !preset.name.trim()) return false;
+    if (!UNIT_TO_MM[preset.unit]) return false;
+    if (!(preset.width > 0) || !(preset.height > 0)) return false;
+
+    return ['marginTop', 'marginBottom', 'marginLeft', 'marginRight'].every(key => preset[key] >= 0);
+}
+
+// A page setup (settings, or a note's setup with `customPresets`) whose text area holds a line
+function leavesRoomForText(setup) {
+    const paginator = new Paginator({ getPresets: () => setup.customPresets || [] });
+    const metrics = paginator.getPrintMetrics(setup);
+
+    return metrics.contentHeight >= metrics.fontSizePx * metrics.lineHeight && metrics.contentWidth >= metrics.fontSizePx;
+}
+
+module.exports = {
+    SETTINGS_VERSION,
+    DEFAULT_SETTINGS,
+    STYLE_PRESETS,
+    BADGE_POSITIONS,
+    PAGE_SETUP_KEYS,
+    PAGE_SPACE_KEYS,
+    migrateSettings,
+    validateSettings,
+    isValidSetting,
+    leavesRoomForText,
+};
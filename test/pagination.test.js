@@ -0,0 +1,243 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { Paginator, PX_PER_MM } = require('../src/pagination');
+const { DEFAULT_SETTINGS, PAGE_SETUP_KEYS } = require('../src/settings');
+
+// The page setup a note without frontmatter gets from the default settings
+const BASE_SETUP = Object.fromEntries(PAGE_SETUP_KEYS.map(key => [key, DEFAULT_SETTINGS[key]]));
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function readFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+}
+
+// Fixture blocks are stacked top to bottom and given source offsets, as the editor measures them.
+// `repeat` writes a line's text that many times, to get long paragraphs without long fixtures.
+function buildBlocks(specs) {
+    let top = 0;
+    let from = 0;
+
+    return specs.map(({ repeat, ...spec }) => {
+        const block = { top, width: 0, ...spec, from };
+
+        if (spec.lines) {
+            block.lines = spec.lines.map(({ repeat: times = 1, ...line }) => {
+                const text = Array(times).fill(line.text).join(' ');
+                return { indent: 0, ...line, text, sourceLength: text.length };
+            });
+            block.lineFroms = [];
+            block.lines.forEach(line => {
+                block.lineFroms.push(from);
+                from += line.sourceLength + 1;
+            });
+        } else {
+            from += (spec.rows || []).reduce((sum, row) => sum + row.join(' | ').length + 1, 1);
+        }
+
+        top += block.height;
+        return block;
+    });
+}
+
+function setupFor(paginator, overrides) {
+    // Choosing a custom size brings its margins along, as in the plugin's page setup
+    return { ...BASE_SETUP, ...paginator.getPresetMargins(overrides.pageSize), ...overrides };
+}
+
+function runFixture(fixture, overrides = {}) {
+    const paginator = new Paginator({ getPresets: () => fixture.presets || [] });
+    const setup = setupFor(paginator, { ...fixture.setup, ...overrides });
+    const blocks = buildBlocks(fixture.blocks);
+    const result = paginator.calculate(blocks, setup);
+
+    return { paginator, setup, blocks, ...result };
+}
+
+// Breaks reduced to what a reader of the note sees: which block a page starts in and where
+function describeBreaks(blocks, breaks) {
+    return breaks.map(pageBreak => ({
+        block: blocks.findIndex(block => block.from === pageBreak.from),
+        offset: Math.round(pageBreak.offset * 10) / 10,
+        forced: pageBreak.forced,
+        pos: pageBreak.pos === undefined ? null : pageBreak.pos,
+    }));
+}
+
+// Print pixels from the top of the note to where each page starts
+function printOffsets(blocks, breaks) {
+    const starts = [];
+    let used = 0;
+    blocks.forEach(block => {
+        starts.push(used);
+        used += block.units.reduce((sum, unit) => sum + unit, 0) + block.gap;
+    });
+
+    return {
+        total: used,
+        breaks: breaks.map(pageBreak => starts[blocks.findIndex(block => block.from === pageBreak.from)] + pageBreak.offset),
+    };
+}
+
+const FIXTURE_NAMES = fs.readdirSync(FIXTURES)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'));
+
+FIXTURE_NAMES.forEach(name => {
+    const fixture = readFixture(name);
+    const variants = [{ label: name, setup: {}, expected: fixture.expected }];
+    if (fixture.unsplit) {
+        variants.push({ label: `${name} (unsplit)`, setup: fixture.unsplit.setup, expected: fixture.unsplit.expected });
+    }
+
+    variants.forEach(variant => {
+        test(`${variant.label}: ${fixture.description}`, () => {
+            const { blocks, breaks, pages } = runFixture(fixture, variant.setup);
+
+            assert.equal(pages.length, variant.expected.pageCount);
+            assert.deepEqual(describeBreaks(blocks, breaks), variant.expected.breaks);
+        });
+
+        test(`${variant.label}: no page holds more than the page height`, () => {
+            const { paginator, setup, blocks, breaks } = runFixture(fixture, variant.setup);
+            const offsets = printOffsets(blocks, breaks);
+            const starts = [0, ...offsets.breaks];
+            const largestGap = Math.max(...blocks.map(block => block.gap));
+
+            starts.forEach((start, index) => {
+                const end = index + 1 < starts.length ? starts[index + 1] : offsets.total;
+                const section = index > 0 ? breaks[index - 1].section : null;
+                const pageHeight = paginator.getPrintMetrics(paginator.getSectionSetup(setup, section)).contentHeight;
+
+                assert.ok(end - start <= pageHeight + largestGap, `page ${index + 1} holds ${end - start}px of ${pageHeight}px`);
+            });
+        });
+    });
+});
+
+test('page height follows the page size, orientation, margins and running header', () => {
+    const paginator = new Paginator();
+    const a4 = paginator.getPageHeight(BASE_SETUP);
+
+    assert.equal(Math.round(a4 * 100) / 100, Math.round((297 - 50.8) * PX_PER_MM * 0.985 * 100) / 100);
+    assert.equal(
+        paginator.getPageHeight({ ...BASE_SETUP, orientation: 'landscape' }),
+        (210 - 50.8) * PX_PER_MM * 0.985
+    );
+    assert.equal(
+        paginator.getPageHeight({ ...BASE_SETUP, headerTemplate: '{{title}}' }),
+        (297 - 50.8 - BASE_SETUP.headerHeight) * PX_PER_MM * 0.985
+    );
+    assert.ok(paginator.getPageHeight({ ...BASE_SETUP, pageSize: 'Letter' }) < a4);
+
+    // The font family is accounted for in wrapping, not in the page
+    ['serif', 'sans-serif', 'monospace'].forEach(fontFamily => {
+        assert.equal(paginator.getPageHeight({ ...BASE_SETUP, fontFamily }), a4);
+    });
+});
+
+test('a custom size in inches lays out like the same size in millimetres', () => {
+    const fixture = readFixture('long-paragraphs');
+    const inches = { name: 'Inches', width: 8.5, height: 11, unit: 'in', marginTop: 1, marginBottom: 1, marginLeft: 1, marginRight: 1 };
+    const millimetres = { name: 'Millimetres', width: 215.9, height: 279.4, unit: 'mm', marginTop: 25.4, marginBottom: 25.4, marginLeft: 25.4, marginRight: 25.4 };
+
+    const presets = { ...fixture, presets: [inches, millimetres] };
+    const a = runFixture(presets, { pageSize: 'Inches' });
+    const b = runFixture(presets, { pageSize: 'Millimetres' });
+    const letter = runFixture(presets, { pageSize: 'Letter' });
+
+    assert.deepEqual(describeBreaks(a.blocks, a.breaks), describeBreaks(b.blocks, b.breaks));
+    assert.deepEqual(describeBreaks(a.blocks, a.breaks), describeBreaks(letter.blocks, letter.breaks));
+});
+
+test('an unknown page size falls back to A4', () => {
+    const paginator = new Paginator();
+    assert.deepEqual(paginator.getPageDimensions('Foolscap'), paginator.getPageDimensions('A4'));
+});
+
+test('the calibration offset moves every break without changing where pages start', () => {
+    const fixture = readFixture('long-paragraphs');
+    const plain = runFixture(fixture);
+    const shifted = runFixture(fixture, { calibrationOffset: -30 });
+
+    assert.deepEqual(describeBreaks(shifted.blocks, shifted.breaks), describeBreaks(plain.blocks, plain.breaks));
+    shifted.breaks.forEach((pageBreak, index) => {
+        assert.equal(pageBreak.y, plain.breaks[index].y - 30);
+    });
+});
+
+test('changing the setup and changing it back gives the same breaks', () => {
+    const fixture = readFixture('landscape');
+    const paginator = new Paginator();
+    const portrait = setupFor(paginator, { ...fixture.setup, orientation: 'portrait' });
+    const landscape = setupFor(paginator, fixture.setup);
+
+    const first = paginator.calculate(buildBlocks(fixture.blocks), landscape);
+    paginator.calculate(buildBlocks(fixture.blocks), portrait);
+    const again = paginator.calculate(buildBlocks(fixture.blocks), landscape);
+
+    assert.deepEqual(again.breaks, first.breaks);
+    assert.deepEqual(again.pages, first.pages);
+});
+
+test('laying out again from a page break matches the layout of the whole note', () => {
+    const fixture = readFixture('long-paragraphs');
+    const { paginator, setup, breaks } = runFixture(fixture);
+    const resume = breaks[0];
+
+    // As after an edit on the second page: measure from the block the first page break is in
+    const blocks = buildBlocks(fixture.blocks).filter(block => block.from >= resume.from);
+    paginator.applySectionMetrics(blocks, setup, resume.section);
+    blocks[0] = paginator.skipBlockStart(blocks[0], resume.offset);
+
+    const resumed = paginator.finishBreaks(paginator.paginate(blocks, setup), blocks, setup);
+
+    assert.deepEqual(resumed, breaks.slice(1));
+});
+
+test('breaks a line apart are kept, so every page is counted', () => {
+    const paginator = new Paginator();
+    const blocks = buildBlocks([
+        { kind: 'paragraph', height: 24, lines: [{ text: 'Cover' }], breakAfter: true },
+        { kind: 'paragraph', height: 24, lines: [{ text: 'A short line.' }] },
+        { kind: 'image', height: 900 },
+        { kind: 'paragraph', height: 24, lines: [{ text: 'After the image.' }] },
+    ]);
+    const { breaks, pages } = paginator.calculate(blocks, BASE_SETUP);
+
+    assert.deepEqual(breaks.map(pageBreak => pageBreak.y), [24, 48, 948]);
+    assert.equal(pages.length, 4);
+});
+
+test('page summaries list headings and count words per page', () => {
+    const { pages, blocks } = runFixture(readFixture('forced-breaks'));
+
+    assert.equal(pages[0].title, 'Title page.');
+    assert.deepEqual(pages[2].headings, ['Chapter one']);
+    assert.equal(
+        pages.reduce((sum, page) => sum + page.words, 0),
+        blocks.reduce((sum, block) => sum + block.lines.reduce((words, line) => words + line.text.split(/\s+/).length, 0), 0)
+    );
+});
+
+test('the overflow past a page limit is counted in print lines and words', () => {
+    const { paginator, setup, blocks, breaks, pages } = runFixture(readFixture('long-paragraphs'));
+
+    // Page 3 holds the last 4 lines of the third paragraph
+    assert.deepEqual(paginator.measureOverflow(blocks, breaks, pages, 2, setup), {
+        pages: 1,
+        lines: 4,
+        words: pages[2].words,
+    });
+    assert.deepEqual(paginator.measureOverflow(blocks, breaks, pages, 3, setup), { pages: 0, lines: 0, words: 0 });
+    assert.deepEqual(paginator.measureOverflow(blocks, breaks, pages, 0, setup), { pages: 0, lines: 0, words: 0 });
+});
+
+test('a page setup without room for text gives no breaks', () => {
+    const fixture = readFixture('long-paragraphs');
+
+    assert.deepEqual(runFixture(fixture, { marginTop: 150, marginBottom: 150 }).breaks, []);
+    assert.deepEqual(runFixture(fixture, { pageHeightScale: 0 }).breaks, []);
+});
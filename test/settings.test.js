@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { SETTINGS_VERSION, DEFAULT_SETTINGS, migrateSettings, validateSettings } = require('../src/settings');
+
+// Settings as the plugin loads them: defaults, then the migrated data, then validation
+function loadSettings(data) {
+    const settings = { ...DEFAULT_SETTINGS, ...migrateSettings(data) };
+    settings.customPresets = [...settings.customPresets];
+    const repaired = validateSettings(settings);
+
+    return { settings, repaired };
+}
+
+test('the shipped data.json migrates to current settings without repairs', () => {
+    const data = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data.json'), 'utf8'));
+    const { settings, repaired } = loadSettings(data);
+
+    assert.deepEqual(repaired, []);
+    assert.equal(settings.settingsVersion, SETTINGS_VERSION);
+
+    // The legacy indicator keys win over current keys still at their defaults
+    assert.equal(settings.breakLineColor, '#ff6b6b');
+    assert.equal(settings.breakLineThickness, 5);
+    assert.equal(settings.breakLineStyle, 'dashed');
+
+    // 210 × 297 mm is A4; the font name becomes its family
+    assert.equal(settings.pageSize, 'A4');
+    assert.deepEqual(settings.customPresets, []);
+    assert.equal(settings.fontFamily, 'serif');
+
+    // Values that were set are kept
+    assert.equal(settings.marginTop, 20);
+    assert.equal(settings.lineHeight, 1.15);
+    assert.equal(settings.breakLineOpacity, 0.1);
+
+    ['lineColor', 'lineThickness', 'lineStyle', 'pageWidth', 'pageHeight', 'unit', 'charactersPerInch'].forEach(key => {
+        assert.ok(!(key in settings), `${key} is left over`);
+    });
+});
+
+test('a legacy page size that is not built in becomes a custom preset', () => {
+    const { settings, repaired } = loadSettings({ pageWidth: 6, pageHeight: 9, unit: 'in', marginTop: 12.7 });
+
+    assert.deepEqual(repaired, []);
+    assert.equal(settings.pageSize, 'Custom 6 × 9 in');
+    assert.deepEqual(settings.customPresets, [{
+        name: 'Custom 6 × 9 in',
+        width: 6,
+        height: 9,
+        unit: 'in',
+        marginTop: 0.5,
+        marginBottom: 1,
+        marginLeft: 1,
+        marginRight: 1,
+    }]);
+});
+
+test('a legacy page size in landscape is found among the built-in sizes', () => {
+    const { settings } = loadSettings({ pageWidth: 11, pageHeight: 8.5, unit: 'in' });
+    assert.equal(settings.pageSize, 'Letter');
+});
+
+test('the minimum break spacing of version 1 settings is dropped', () => {
+    const { settings, repaired } = loadSettings({ settingsVersion: 1, minBreakSpacing: 50, marginTop: 20 });
+
+    assert.deepEqual(repaired, []);
+    assert.ok(!('minBreakSpacing' in settings));
+    assert.equal(settings.marginTop, 20);
+});
+
+test('invalid values are reset to their defaults and reported', () => {
+    const { settings, repaired } = loadSettings({
+        settingsVersion: SETTINGS_VERSION,
+        orientation: 'sideways',
+        columns: 1.5,
+        breakLineColor: 'red',
+        pageSize: 'Missing preset',
+        unknownKey: true,
+    });
+
+    assert.deepEqual(repaired.sort(), ['breakLineColor', 'columns', 'orientation', 'pageSize']);
+    assert.equal(settings.orientation, DEFAULT_SETTINGS.orientation);
+    assert.ok(!('unknownKey' in settings));
+});
+
+test('margins and running headers that leave no room for text are reset', () => {
+    const margins = loadSettings({ settingsVersion: SETTINGS_VERSION, marginTop: 150, marginBottom: 150 });
+    assert.deepEqual(margins.repaired, ['marginTop', 'marginBottom']);
+    assert.equal(margins.settings.marginTop, DEFAULT_SETTINGS.marginTop);
+
+    const header = loadSettings({ settingsVersion: SETTINGS_VERSION, headerTemplate: '{{title}}', headerHeight: 250 });
+    assert.deepEqual(header.repaired, ['headerHeight']);
+
+    // The same height fits when no header is printed
+    assert.deepEqual(loadSettings({ settingsVersion: SETTINGS_VERSION, headerHeight: 250 }).repaired, []);
+
+    const sides = loadSettings({ settingsVersion: SETTINGS_VERSION, marginLeft: 105, marginRight: 105 });
+    assert.deepEqual(sides.repaired, ['marginLeft', 'marginRight']);
+});